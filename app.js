@@ -1,9 +1,21 @@
 import { GameEngine } from './src/GameEngine.js';
+import { describeCardOutcome } from './src/EventCards.js';
+import eventCards from './src/data/event-cards.json';
+
+// The board is saved here whenever it changes, so a refresh picks up where you left off
+const AUTOSAVE_KEY = 'space_scrap_autosave';
+const AUTOSAVE_DELAY_MS = 1000;
+
+// How long a drawn event card stays up (clicking it closes it sooner)
+const CARD_REVEAL_MS = 4000;
 
 class App {
   constructor() {
     this.gameEngine = null;
     this.isInitialized = false;
+    this.autosaveTimeout = null;
+    this.autosaveEnabled = true;
+    this.cardRevealTimeout = null;
   }
 
   async init() {
@@ -20,8 +32,12 @@ class App {
       
       // Make GameEngine globally accessible for debugging
       window.gameEngine = this.gameEngine;
-      
+
+      // Rolling doubles draws from the event card deck (restored along with the rest of an autosave)
+      this.gameEngine.enableEventCards(eventCards);
+
       this.setupEventListeners();
+      this.restoreAutosave();
       
       this.isInitialized = true;
       
@@ -57,11 +73,15 @@ class App {
 
     // Cleanup on page unload
     window.addEventListener('beforeunload', () => {
+      this.autosave();
       this.destroy();
     });
 
     // Setup dice rolling
     this.setupDiceRolling();
+    this.setupCardReveal();
+
+    this.setupSaveControls();
   }
 
   setupDiceRolling() {
@@ -69,8 +89,16 @@ class App {
     const die1Element = document.getElementById('die1');
     const die2Element = document.getElementById('die2');
     const totalElement = document.getElementById('dice-total');
+    const movesElement = document.getElementById('moves-remaining');
 
     if (rollButton && this.gameEngine) {
+      // Show how far the selected ship can still travel after the last roll
+      if (movesElement) {
+        this.gameEngine.onMoveBudgetChange((remaining) => {
+          movesElement.textContent = remaining;
+        });
+      }
+
       rollButton.addEventListener('click', () => {
         // Add rolling animation
         die1Element.classList.add('rolling');
@@ -78,12 +106,7 @@ class App {
 
         // Roll the dice after a short delay for animation
         setTimeout(() => {
-          const result = this.gameEngine.rollDice();
-
-          // Update UI
-          die1Element.textContent = result.dice1;
-          die2Element.textContent = result.dice2;
-          totalElement.textContent = result.total;
+          this.gameEngine.rollDice();
 
           // Remove rolling animation
           die1Element.classList.remove('rolling');
@@ -91,13 +114,151 @@ class App {
         }, 500);
       });
 
-      // Setup callback for dice roll events
+      // Show every dice result, whether rolled here or restored from a save
       this.gameEngine.onDiceRoll((dice1, dice2, total) => {
         console.log(`Dice roll event: ${dice1} + ${dice2} = ${total}`);
+        die1Element.textContent = dice1;
+        die2Element.textContent = dice2;
+        totalElement.textContent = total;
       });
     }
   }
 
+  setupCardReveal() {
+    const reveal = document.getElementById('card-reveal');
+    if (!reveal) return;
+
+    reveal.addEventListener('click', () => this.hideCardReveal());
+    this.gameEngine.onCardDrawn((data) => this.showCardReveal(data));
+  }
+
+  showCardReveal({ ship, card, outcome }) {
+    const reveal = document.getElementById('card-reveal');
+    if (!reveal) return;
+
+    const name = (id) => `the ${id} ship`;
+    const drawnBy = ship.charAt(0).toUpperCase() + ship.slice(1);
+    document.getElementById('card-name').textContent = card.name;
+    document.getElementById('card-description').textContent = card.description;
+    document.getElementById('card-outcome').textContent = `${drawnBy} ship: ${describeCardOutcome(card, outcome, name)}`;
+    reveal.classList.add('visible');
+
+    clearTimeout(this.cardRevealTimeout);
+    this.cardRevealTimeout = setTimeout(() => this.hideCardReveal(), CARD_REVEAL_MS);
+  }
+
+  hideCardReveal() {
+    clearTimeout(this.cardRevealTimeout);
+    document.getElementById('card-reveal').classList.remove('visible');
+  }
+
+  setupSaveControls() {
+    const loadInput = document.getElementById('load-game-input');
+
+    document.getElementById('save-game-btn').addEventListener('click', () => this.downloadSave());
+    document.getElementById('load-game-btn').addEventListener('click', () => loadInput.click());
+    document.getElementById('new-game-btn').addEventListener('click', () => this.newGame());
+
+    loadInput.addEventListener('change', () => {
+      if (loadInput.files[0]) {
+        this.loadSaveFile(loadInput.files[0]);
+      }
+      loadInput.value = '';
+    });
+
+    // Dropping a save file onto the board loads it
+    const canvas = this.gameEngine.canvas;
+    canvas.addEventListener('dragover', (event) => {
+      event.preventDefault();
+      event.dataTransfer.dropEffect = 'copy';
+    });
+    canvas.addEventListener('drop', (event) => {
+      event.preventDefault();
+      const file = event.dataTransfer.files[0];
+      if (file) {
+        this.loadSaveFile(file);
+      }
+    });
+
+    // Any move, rotation or roll changes what's on the board
+    this.gameEngine.onMoveBudgetChange(() => this.scheduleAutosave());
+    this.gameEngine.onDiceRoll(() => this.scheduleAutosave());
+    this.gameEngine.onCardDrawn(() => this.scheduleAutosave());
+  }
+
+  downloadSave() {
+    const save = this.gameEngine.getSaveState();
+    const blob = new Blob([JSON.stringify(save, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `space-scrap-save-${save.savedAt.replace(/[:.]/g, '-')}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+
+    this.showSaveStatus('Game saved to file');
+  }
+
+  loadSaveFile(file) {
+    file.text()
+      .then(text => {
+        this.gameEngine.loadSaveState(JSON.parse(text));
+        this.autosave();
+        this.showSaveStatus(`Loaded ${file.name}`);
+      })
+      .catch(error => {
+        console.error('Failed to load save file:', error);
+        this.showSaveStatus(`Couldn't load ${file.name}: ${error.message}`, true);
+      });
+  }
+
+  // Start over from a fresh page so ships added or resized by a loaded save are gone too
+  newGame() {
+    this.autosaveEnabled = false;
+    clearTimeout(this.autosaveTimeout);
+    localStorage.removeItem(AUTOSAVE_KEY);
+    location.reload();
+  }
+
+  scheduleAutosave() {
+    clearTimeout(this.autosaveTimeout);
+    this.autosaveTimeout = setTimeout(() => this.autosave(), AUTOSAVE_DELAY_MS);
+  }
+
+  autosave() {
+    if (!this.isInitialized || !this.gameEngine || !this.autosaveEnabled) return;
+
+    clearTimeout(this.autosaveTimeout);
+    try {
+      localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(this.gameEngine.getSaveState()));
+    } catch (error) {
+      console.error('Autosave failed:', error);
+    }
+  }
+
+  restoreAutosave() {
+    const saved = localStorage.getItem(AUTOSAVE_KEY);
+    if (!saved) return;
+
+    try {
+      this.gameEngine.loadSaveState(JSON.parse(saved));
+      this.showSaveStatus('Restored your last game');
+    } catch (error) {
+      // An unreadable autosave (e.g. from an older version) is dropped rather than blocking the game
+      console.warn('Discarding autosave:', error);
+      localStorage.removeItem(AUTOSAVE_KEY);
+    }
+  }
+
+  showSaveStatus(message, isError = false) {
+    const status = document.getElementById('save-status');
+    if (!status) return;
+
+    status.textContent = message;
+    status.style.color = isError ? '#ff6b6b' : '#888';
+  }
+
   showErrorMessage(message) {
     const errorDiv = document.createElement('div');
     errorDiv.style.cssText = `
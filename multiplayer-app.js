@@ -1,10 +1,24 @@
 import { GameEngine } from './src/GameEngine.js';
 import { NetworkManager } from './src/NetworkManager.js';
+import { FLEET_COLORS, getFleetColor } from './src/Fleet.js';
+import { WIN_REASONS } from './src/WinConditions.js';
+import { TIME_CONTROL_TYPES, formatClock } from './src/TimeControls.js';
+import { CHAT_EMOTES, CHAT_HISTORY_LIMIT, getChatEmote } from './src/Chat.js';
+import { describeCardOutcome } from './src/EventCards.js';
+import { getRollBudget } from './src/ShipStats.js';
+
+// Turn clocks go red with this much time left
+const LOW_TIME_MS = 10000;
+
+// A drawn card comes up once the dice have landed and stays up this long (clicking it closes it sooner)
+const CARD_REVEAL_DELAY_MS = 600;
+const CARD_REVEAL_MS = 4000;
 
 class MultiplayerApp {
   constructor() {
     this.gameEngine = null;
     this.networkManager = null;
+    this.serverUrl = null; // Also serves the action log download for finished games
     this.isGameStarted = false;
 
     // UI elements
@@ -18,6 +32,10 @@ class MultiplayerApp {
     // Buttons
     this.createRoomBtn = document.getElementById('create-room-btn');
     this.joinRoomBtn = document.getElementById('join-room-btn');
+    this.spectateRoomBtn = document.getElementById('spectate-room-btn');
+    this.refreshRoomsBtn = document.getElementById('refresh-rooms-btn');
+    this.findMatchBtn = document.getElementById('find-match-btn');
+    this.cancelMatchBtn = document.getElementById('cancel-match-btn');
     this.leaveGameBtn = document.getElementById('leave-game-btn');
     this.endTurnBtn = document.getElementById('end-turn-btn');
 
@@ -25,14 +43,43 @@ class MultiplayerApp {
     this.leaveConfirmModal = document.getElementById('leave-confirm-modal');
     this.confirmLeaveBtn = document.getElementById('confirm-leave-btn');
     this.cancelLeaveBtn = document.getElementById('cancel-leave-btn');
+    this.resultsModal = document.getElementById('results-modal');
+    this.closeResultsBtn = document.getElementById('close-results-btn');
+    this.resultsLeaveBtn = document.getElementById('results-leave-btn');
+    this.rematchBtn = document.getElementById('rematch-btn');
+    this.declineRematchBtn = document.getElementById('decline-rematch-btn');
+    this.showResultsBtn = document.getElementById('show-results-btn');
+    this.cardReveal = document.getElementById('card-reveal');
+    this.cardRevealTimeout = null;
 
     // Inputs
     this.createNicknameInput = document.getElementById('create-nickname');
+    this.createMaxPlayersSelect = document.getElementById('create-max-players');
+    this.createColorSelect = document.getElementById('create-color');
+    this.createTimeControlSelect = document.getElementById('create-time-control');
+    this.createPublicCheckbox = document.getElementById('create-public');
     this.joinNicknameInput = document.getElementById('join-nickname');
+    this.joinColorSelect = document.getElementById('join-color');
     this.roomCodeInput = document.getElementById('room-code');
+    this.createPasswordInput = document.getElementById('create-password');
+    this.joinPasswordGroup = document.getElementById('join-password-group');
+    this.joinPasswordInput = document.getElementById('join-password');
 
     // Player data
     this.players = [];
+
+    // Ticks the turn clock display while a game is on screen
+    this.turnTimerInterval = null;
+
+    // Ticks the quick match wait time while queued
+    this.matchStatusInterval = null;
+
+    // Chat panel
+    this.chatPanel = document.getElementById('chat-panel');
+    this.chatMessages = document.getElementById('chat-messages');
+    this.chatInput = document.getElementById('chat-input');
+    this.chatUnread = document.getElementById('chat-unread');
+    this.unreadChatCount = 0;
   }
 
   async init() {
@@ -46,19 +93,22 @@ class MultiplayerApp {
       // Connect to server
       // In production, use the same origin (Railway serves both frontend and backend)
       // In development, connect to separate backend server
-      const serverUrl = window.location.hostname === 'localhost'
+      this.serverUrl = window.location.hostname === 'localhost'
         ? 'http://localhost:3000'
         : window.location.origin; // Production: same domain
 
-      console.log('MultiplayerApp: Connecting to server:', serverUrl);
-      this.loadingDiv.textContent = `Connecting to ${serverUrl}...`;
+      console.log('MultiplayerApp: Connecting to server:', this.serverUrl);
+      this.loadingDiv.textContent = `Connecting to ${this.serverUrl}...`;
 
-      await this.networkManager.connect(serverUrl);
+      await this.networkManager.connect(this.serverUrl);
 
       console.log('MultiplayerApp: Connected successfully!');
       this.setupEventListeners();
       this.setupNetworkCallbacks();
 
+      // Fill the public games list (kept up to date by the server while we're in the lobby)
+      this.networkManager.listRooms();
+
       // Check for existing session and attempt reconnection
       if (this.networkManager.hasSession()) {
         console.log('MultiplayerApp: Found existing session, attempting reconnection...');
@@ -87,13 +137,43 @@ class MultiplayerApp {
   }
 
   setupEventListeners() {
+    this.populateFleetColorOptions();
+
     this.createRoomBtn.addEventListener('click', () => {
       const nickname = this.createNicknameInput.value.trim() || 'Player 1';
-      this.networkManager.createRoom(nickname);
+      this.networkManager.createRoom(nickname, {
+        maxPlayers: Number(this.createMaxPlayersSelect.value),
+        color: this.createColorSelect.value || null,
+        timeControl: this.getSelectedTimeControl(),
+        isPublic: this.createPublicCheckbox.checked,
+        password: this.createPasswordInput.value
+      });
       this.createRoomBtn.disabled = true;
       this.showStatus('Creating room...', 'info');
     });
 
+    this.refreshRoomsBtn.addEventListener('click', () => {
+      this.networkManager.listRooms();
+    });
+
+    // Host controls: the same lock toggle sits in the waiting room and the game info panel
+    ['waiting-lock-btn', 'lock-room-btn'].forEach(id => {
+      document.getElementById(id).addEventListener('click', () => {
+        this.networkManager.lockRoom(!this.networkManager.isRoomLocked());
+      });
+    });
+
+    this.findMatchBtn.addEventListener('click', () => {
+      const nickname = this.joinNicknameInput.value.trim() || 'Player';
+      this.networkManager.findMatch(nickname, this.joinColorSelect.value || null);
+      this.findMatchBtn.disabled = true;
+      this.cancelMatchBtn.style.display = 'block';
+    });
+
+    this.cancelMatchBtn.addEventListener('click', () => {
+      this.networkManager.cancelMatch();
+    });
+
     this.joinRoomBtn.addEventListener('click', () => {
       const nickname = this.joinNicknameInput.value.trim() || 'Player 2';
       const roomCode = this.roomCodeInput.value.trim().toUpperCase();
@@ -103,11 +183,25 @@ class MultiplayerApp {
         return;
       }
 
-      this.networkManager.joinRoom(roomCode, nickname);
+      this.networkManager.joinRoom(roomCode, nickname, this.joinColorSelect.value || null, this.joinPasswordInput.value);
       this.joinRoomBtn.disabled = true;
       this.showStatus('Joining room...', 'info');
     });
 
+    this.spectateRoomBtn.addEventListener('click', () => {
+      const nickname = this.joinNicknameInput.value.trim() || 'Spectator';
+      const roomCode = this.roomCodeInput.value.trim().toUpperCase();
+
+      if (!roomCode) {
+        this.showStatus('Please enter a room code', 'error');
+        return;
+      }
+
+      this.networkManager.spectateRoom(roomCode, nickname, this.joinPasswordInput.value);
+      this.spectateRoomBtn.disabled = true;
+      this.showStatus('Joining as spectator...', 'info');
+    });
+
     this.leaveGameBtn.addEventListener('click', () => {
       this.showLeaveConfirmation();
     });
@@ -128,6 +222,36 @@ class MultiplayerApp {
       }
     });
 
+    // A drawn event card closes on click as well as by itself
+    this.cardReveal.addEventListener('click', () => this.hideCardReveal());
+
+    // Results modal: look at the final board or leave
+    this.closeResultsBtn.addEventListener('click', () => {
+      this.hideResults();
+    });
+
+    this.resultsLeaveBtn.addEventListener('click', () => {
+      this.leaveGame();
+    });
+
+    this.showResultsBtn.addEventListener('click', () => {
+      this.showResults(this.networkManager.getGameResult());
+    });
+
+    // Rematch: request one, or accept the one another player asked for
+    this.rematchBtn.addEventListener('click', () => {
+      if (this.networkManager.isRematchAwaitingMe()) {
+        this.networkManager.respondToRematch(true);
+      } else {
+        this.networkManager.requestRematch();
+      }
+      this.rematchBtn.disabled = true;
+    });
+
+    this.declineRematchBtn.addEventListener('click', () => {
+      this.networkManager.respondToRematch(false);
+    });
+
     // Room code input formatting
     this.roomCodeInput.addEventListener('input', (e) => {
       e.target.value = e.target.value.toUpperCase();
@@ -145,13 +269,10 @@ class MultiplayerApp {
     // Room created
     this.networkManager.onRoomCreated((data) => {
       console.log('Room created:', data);
-      this.players = [{
-        nickname: data.nickname,
-        ship: data.playerShip
-      }];
+      this.players = data.players.map(p => this.toPlayer(p));
 
       this.showWaitingRoom(data.roomId);
-      this.showStatus('Room created! Waiting for opponent...', 'success');
+      this.showStatus('Room created! Waiting for players...', 'success');
     });
 
     // Room joined
@@ -160,10 +281,14 @@ class MultiplayerApp {
 
       // Set players array from server data
       if (data.players) {
-        this.players = data.players.map(p => ({
-          nickname: p.nickname,
-          ship: p.ship
-        }));
+        this.players = data.players.map(p => this.toPlayer(p));
+      }
+
+      // Wait in the lobby until every seat is filled
+      if (!this.networkManager.isGameReady()) {
+        this.showWaitingRoom(data.roomId);
+        this.showStatus('Joined room! Waiting for players...', 'success');
+        return;
       }
 
       this.showStatus('Joined room! Starting game...', 'success');
@@ -174,25 +299,59 @@ class MultiplayerApp {
       }, 1000);
     });
 
+    // Joined a room as a spectator
+    this.networkManager.onSpectateJoined((data) => {
+      console.log('Spectating room:', data);
+
+      if (data.players) {
+        this.players = data.players.map(p => this.toPlayer(p));
+      }
+
+      this.showStatus('Watching game...', 'success');
+
+      setTimeout(() => {
+        this.startGame();
+      }, 1000);
+    });
+
+    // Spectators came or went
+    this.networkManager.onSpectatorsUpdated(() => {
+      this.updateSpectatorList();
+    });
+
     // Another player joined
     this.networkManager.onPlayerJoined((data) => {
       console.log('Player joined:', data);
-      this.players.push({
+      this.players.push(this.toPlayer({
         nickname: data.nickname,
-        ship: data.playerShip
-      });
+        ship: data.playerShip,
+        seat: data.seat,
+        color: data.color
+      }));
 
       this.updatePlayerList();
-      this.showStatus('Opponent joined! Starting game...', 'success');
 
-      // Update turn UI if game already started
+      // Update the board and turn UI if game already started
       if (this.isGameStarted) {
+        this.gameEngine.setFleet(this.players);
+        this.gameEngine.setShipState(data.playerShip, data.gameState?.ships?.[data.playerShip]);
+        this.gameEngine.setShipStats(data.gameState?.stats || {});
+        this.updateOpponentInfo();
+
         this.updateEndTurnButton();
         const currentTurn = this.networkManager.getCurrentTurn();
         const turnNumber = this.networkManager.getTurnNumber();
         this.updateTurnUI({ currentTurn, turnNumber }, false); // Don't show notification when player joins
+        return;
       }
 
+      if (!this.networkManager.isGameReady()) {
+        this.showStatus(`${data.nickname} joined! Waiting for players...`, 'success');
+        return;
+      }
+
+      this.showStatus('All players joined! Starting game...', 'success');
+
       // Start the game
       setTimeout(() => {
         this.startGame();
@@ -221,10 +380,7 @@ class MultiplayerApp {
 
       // Set players array from server data
       if (data.players) {
-        this.players = data.players.map(p => ({
-          nickname: p.nickname,
-          ship: p.ship
-        }));
+        this.players = data.players.map(p => this.toPlayer(p));
       }
 
       // Show lobby temporarily with success message
@@ -240,27 +396,227 @@ class MultiplayerApp {
     // Player left permanently
     this.networkManager.onPlayerLeft((data) => {
       console.log('Player left permanently:', data);
-      this.showStatus('Opponent left the game', 'error');
+      this.players = this.players.filter(p => p.ship !== data.playerShip);
 
-      // Return to lobby
-      setTimeout(() => {
-        this.networkManager.clearSession();
-        this.returnToLobby();
-      }, 2000);
+      // The game is already over (possibly because of this departure) - keep the results up
+      if (data.status === 'finished') {
+        if (this.gameEngine) {
+          this.gameEngine.setFleet(this.players);
+        }
+        this.updateOpponentInfo();
+        return;
+      }
+
+      // Still in the waiting room: just free up the seat
+      if (!this.isGameStarted) {
+        this.updatePlayerList();
+        this.showStatus(`${data.nickname} left the room`, 'info');
+        return;
+      }
+
+      // Keep the room open: play on without them, or wait for someone to take the free seat
+      this.gameEngine.setFleet(this.players);
+      this.updateOpponentInfo();
+      this.showConnectionStatus(`⚠️ ${data.nickname} left the game`, 'warning');
+      setTimeout(() => this.hideConnectionStatus(), 3000);
+      this.updateTurnUI({
+        currentTurn: this.networkManager.getCurrentTurn(),
+        turnNumber: this.networkManager.getTurnNumber()
+      }, false);
+    });
+
+    // Game over
+    this.networkManager.onGameOver((data) => {
+      console.log('Game over:', data);
+
+      if (this.gameEngine) {
+        this.gameEngine.setTurnState(false);
+      }
+
+      this.updateTurnUI({
+        currentTurn: this.networkManager.getCurrentTurn(),
+        turnNumber: this.networkManager.getTurnNumber()
+      }, false);
+      this.showResults(data);
+    });
+
+    // Hosting passed on (handed over, or the host left for good)
+    this.networkManager.onHostChanged((data) => {
+      const isMe = data.hostShip === this.networkManager.getPlayerShip();
+      const message = isMe ? 'You are now the host' : `${data.nickname} is now the host`;
+
+      this.updatePlayerList();
+      this.updateOpponentInfo();
+
+      if (this.isGameStarted) {
+        this.showConnectionStatus(`👑 ${message}`, 'success');
+        setTimeout(() => this.hideConnectionStatus(), 3000);
+      } else {
+        this.showStatus(message, 'info');
+      }
+    });
+
+    this.networkManager.onRoomLocked((data) => {
+      const message = data.locked ? 'The host locked the room' : 'The host unlocked the room';
+
+      this.updatePlayerList();
+      this.updateOpponentInfo();
+
+      if (this.isGameStarted) {
+        this.showConnectionStatus(`🔒 ${message}`, 'success');
+        setTimeout(() => this.hideConnectionStatus(), 3000);
+      } else {
+        this.showStatus(message, 'info');
+      }
+    });
+
+    // The host removed us from the room
+    this.networkManager.onKicked((data) => {
+      if (this.isGameStarted) {
+        // The scene is already loaded - start over from a fresh lobby
+        this.showConnectionStatus(`⚠️ ${data.message}`, 'warning');
+        setTimeout(() => window.location.reload(), 3000);
+        return;
+      }
+
+      // Still in the waiting room: back to the lobby forms
+      this.players = [];
+      this.waitingRoom.classList.remove('active');
+      this.lobbyMenu.style.display = '';
+      this.createRoomBtn.disabled = false;
+      this.joinRoomBtn.disabled = false;
+      this.spectateRoomBtn.disabled = false;
+      this.showStatus(data.message, 'error');
+      this.networkManager.listRooms();
+    });
+
+    // Quick match queue position changed
+    this.networkManager.onMatchQueue(() => {
+      if (!this.matchStatusInterval) {
+        this.matchStatusInterval = setInterval(() => this.updateMatchStatus(), 1000);
+      }
+      this.updateMatchStatus();
+    });
+
+    // Paired with an opponent - the room itself arrives through onRoomJoined
+    this.networkManager.onMatchFound((data) => {
+      this.resetMatchUI();
+      this.showStatus(`Match found! Playing against ${data.opponent}...`, 'success');
+    });
+
+    this.networkManager.onMatchCancelled(() => {
+      this.resetMatchUI();
+    });
+
+    // Public games list changed
+    this.networkManager.onRoomList((publicRooms) => {
+      this.updatePublicRoomList(publicRooms);
+    });
+
+    // Chat history arrives with the room snapshot, so only live messages need handling here
+    this.networkManager.onChatMessage((data) => {
+      if (this.isGameStarted) {
+        this.appendChatMessage(data);
+      }
+    });
+
+    // A bank clock ran out - that player is out of the game
+    this.networkManager.onPlayerForfeited((data) => {
+      const isMe = data.playerShip === this.networkManager.getPlayerShip();
+      this.showConnectionStatus(
+        isMe ? '⏱ You ran out of time and are out of the game' : `⏱ ${data.nickname} ran out of time and is out of the game`,
+        'warning'
+      );
+      setTimeout(() => this.hideConnectionStatus(), 3000);
+    });
+
+    // Someone ended their turn on scrap
+    this.networkManager.onScrapCollected((data) => {
+      if (this.gameEngine) {
+        this.gameEngine.handleScrapCollected(data);
+      }
+      this.updateScorePanel();
+    });
+
+    // A ship took damage - a destroyed one is out of the game
+    this.networkManager.onShipDamaged((data) => {
+      if (this.gameEngine) {
+        this.gameEngine.handleShipDamaged(data);
+      }
+      this.updateScorePanel();
+
+      if (data.destroyed) {
+        const isMe = data.ship === this.networkManager.getPlayerShip();
+        const player = this.getPlayerBySeat(data.ship);
+        this.showConnectionStatus(
+          isMe ? '💥 Your ship was destroyed' : `💥 ${player ? player.nickname : data.ship}'s ship was destroyed`,
+          'warning'
+        );
+        setTimeout(() => this.hideConnectionStatus(), 3000);
+      }
+    });
+
+    // Someone ended their turn ramming another ship
+    this.networkManager.onShipRammed((data) => {
+      if (this.gameEngine) {
+        this.gameEngine.handleShipRammed(data);
+      }
+      this.updateScorePanel();
+    });
+
+    // Someone rolled doubles and drew an event card
+    this.networkManager.onCardDrawn((data) => {
+      if (this.gameEngine) {
+        this.gameEngine.handleCardDrawn(data);
+      }
+      this.updateScorePanel();
+
+      clearTimeout(this.cardRevealTimeout);
+      this.cardRevealTimeout = setTimeout(() => this.showCardReveal(data), CARD_REVEAL_DELAY_MS);
+    });
+
+    // Rematch vote changed - bring the results back up so everyone can answer
+    this.networkManager.onRematchUpdated(() => {
+      this.showResults(this.networkManager.getGameResult());
+    });
+
+    this.networkManager.onRematchDeclined((data) => {
+      this.updateRematchUI(`${data.nickname} doesn't want a rematch`);
+    });
+
+    // Everyone agreed - play again in the same room
+    this.networkManager.onRematchStarted((data) => {
+      console.log('Rematch started:', data);
+      this.startRematch(data);
     });
 
     // Error
     this.networkManager.onError((data) => {
       console.error('Network error:', data);
 
+      // In-game errors (e.g. rejected actions) shouldn't kick the player back to the lobby
+      if (this.isGameStarted) {
+        this.showConnectionStatus(`⚠️ ${data.message || 'An error occurred'}`, 'warning');
+        setTimeout(() => this.hideConnectionStatus(), 3000);
+        this.updateEndTurnButton();
+        return;
+      }
+
       // Hide loading if it's showing
       this.loadingDiv.style.display = 'none';
 
       // Show lobby if hidden
       this.lobbyDiv.classList.remove('hidden');
 
-      // If reconnection failed, clear session
-      if (data.message && (data.message.includes('Room not found') || data.message.includes('expired'))) {
+      if (data.code === 'PASSWORD_REQUIRED' || data.code === 'INVALID_PASSWORD') {
+        // Protected room - ask for the password and let them try again
+        this.showJoinPassword();
+        this.showStatus(data.message, 'error');
+      } else if (data.code === 'INVALID_RECONNECT_TOKEN') {
+        // If reconnection failed, clear session
+        this.networkManager.clearSession();
+        this.showStatus('Could not reconnect: your saved seat is no longer valid', 'error');
+      } else if (data.message && (data.message.includes('Room not found') || data.message.includes('expired'))) {
         this.networkManager.clearSession();
         this.showStatus('Could not reconnect: ' + data.message, 'error');
       } else {
@@ -269,6 +625,11 @@ class MultiplayerApp {
 
       this.createRoomBtn.disabled = false;
       this.joinRoomBtn.disabled = false;
+      this.spectateRoomBtn.disabled = false;
+      if (!this.networkManager.isInMatchQueue()) {
+        this.findMatchBtn.disabled = false;
+        this.cancelMatchBtn.style.display = 'none';
+      }
     });
 
     // Disconnected
@@ -287,6 +648,12 @@ class MultiplayerApp {
     this.networkManager.onTurnChanged((data) => {
       console.log('MultiplayerApp: Turn changed event received:', data);
       this.updateTurnUI(data, true); // Show notification on turn change
+      this.updateScorePanel();
+
+      if (data.timedOut) {
+        this.showConnectionStatus('⏱ Time ran out - the turn has been passed on', 'warning');
+        setTimeout(() => this.hideConnectionStatus(), 3000);
+      }
 
       // Also update GameEngine controls if game is running
       if (this.gameEngine && this.gameEngine.isMultiplayer) {
@@ -296,10 +663,37 @@ class MultiplayerApp {
     });
   }
 
+  // Fill the lobby's colour pickers from the shared fleet colours
+  populateFleetColorOptions() {
+    document.querySelectorAll('.fleet-color-select').forEach(select => {
+      FLEET_COLORS.forEach(color => {
+        const option = document.createElement('option');
+        option.value = color.id;
+        option.textContent = color.name;
+        select.appendChild(option);
+      });
+    });
+  }
+
+  // Normalise a seat from the server into the shape the UI and GameEngine use
+  toPlayer(player) {
+    return {
+      nickname: player.nickname,
+      ship: player.ship,
+      seat: player.seat,
+      color: player.color || getFleetColor(player.ship)?.hex
+    };
+  }
+
+  getPlayerBySeat(ship) {
+    return this.players.find(p => p.ship === ship) || null;
+  }
+
   showWaitingRoom(roomCode) {
     this.lobbyMenu.style.display = 'none';
     this.waitingRoom.classList.add('active');
     document.getElementById('display-room-code').textContent = roomCode;
+    document.getElementById('waiting-seats').textContent = this.networkManager.getMaxPlayers();
     this.updatePlayerList();
   }
 
@@ -307,15 +701,165 @@ class MultiplayerApp {
     const container = document.getElementById('players-container');
     container.innerHTML = '';
 
-    this.players.forEach(player => {
-      const playerDiv = document.createElement('div');
-      playerDiv.className = `player-item ${player.ship}`;
-      playerDiv.innerHTML = `
-        <span>${player.nickname}</span>
-        <span class="ship-badge ${player.ship}">${player.ship.toUpperCase()}</span>
-      `;
-      container.appendChild(playerDiv);
-    });
+    this.players
+      .slice()
+      .sort((a, b) => a.seat - b.seat)
+      .forEach(player => {
+        const playerDiv = document.createElement('div');
+        playerDiv.className = 'player-item';
+        playerDiv.style.borderLeftColor = player.color;
+
+        const name = document.createElement('span');
+        name.textContent = this.getPlayerLabel(player);
+
+        const actions = this.createHostActions(player);
+        const badge = document.createElement('span');
+        badge.className = 'ship-badge';
+        badge.style.background = player.color;
+        badge.textContent = player.ship.toUpperCase();
+        actions.appendChild(badge);
+
+        playerDiv.appendChild(name);
+        playerDiv.appendChild(actions);
+        container.appendChild(playerDiv);
+      });
+
+    this.updateSpectatorList();
+    this.updateHostControls();
+  }
+
+  // Nickname with a crown for the host
+  getPlayerLabel(player) {
+    return player.ship === this.networkManager.getHostShip() ? `👑 ${player.nickname}` : player.nickname;
+  }
+
+  // Kick / make-host buttons for another player, shown only to the host
+  createHostActions(player) {
+    const actions = document.createElement('span');
+    actions.className = 'player-actions';
+
+    if (!this.networkManager.isHost() || player.ship === this.networkManager.getPlayerShip()) {
+      return actions;
+    }
+
+    const makeHostBtn = document.createElement('button');
+    makeHostBtn.className = 'host-btn';
+    makeHostBtn.textContent = 'Make Host';
+    makeHostBtn.addEventListener('click', () => this.networkManager.transferHost(player.ship));
+
+    const kickBtn = document.createElement('button');
+    kickBtn.className = 'host-btn danger';
+    kickBtn.textContent = 'Kick';
+    kickBtn.addEventListener('click', () => this.networkManager.kickPlayer(player.ship));
+
+    actions.appendChild(makeHostBtn);
+    actions.appendChild(kickBtn);
+    return actions;
+  }
+
+  // Host name, lock buttons and the in-game kick/make-host list
+  updateHostControls() {
+    const isHost = this.networkManager.isHost();
+    const lockLabel = this.networkManager.isRoomLocked() ? 'Unlock Room' : 'Lock Room';
+    const host = this.getPlayerBySeat(this.networkManager.getHostShip());
+
+    const waitingLockBtn = document.getElementById('waiting-lock-btn');
+    waitingLockBtn.style.display = isHost ? 'block' : 'none';
+    waitingLockBtn.textContent = lockLabel;
+
+    document.getElementById('info-host').textContent =
+      (host ? host.nickname : '') + (this.networkManager.isRoomLocked() ? ' 🔒' : '');
+
+    const hostControls = document.getElementById('host-controls');
+    hostControls.style.display = isHost ? 'block' : 'none';
+    document.getElementById('lock-room-btn').textContent = lockLabel;
+
+    const playerActions = document.getElementById('host-player-actions');
+    playerActions.innerHTML = '';
+
+    if (!isHost) return;
+
+    this.players
+      .filter(p => p.ship !== this.networkManager.getPlayerShip())
+      .forEach(player => {
+        const row = document.createElement('div');
+        row.className = 'host-player-row';
+
+        const name = document.createElement('span');
+        name.textContent = player.nickname;
+        name.style.color = player.color;
+
+        row.appendChild(name);
+        row.appendChild(this.createHostActions(player));
+        playerActions.appendChild(row);
+      });
+  }
+
+  updateOpponentInfo() {
+    const playerShip = this.networkManager.getPlayerShip();
+    const opponents = this.players.filter(p => p.ship !== playerShip);
+    const separator = this.networkManager.isSpectating() ? ' vs ' : ', ';
+
+    document.getElementById('info-opponent').textContent = opponents.map(p => p.nickname).join(separator);
+    this.updateHostControls();
+    this.updateScorePanel();
+  }
+
+  // Scrap collected by every seated player, best first
+  updateScorePanel() {
+    const list = document.getElementById('score-list');
+    if (!list) return;
+
+    const scores = this.networkManager.getScores();
+    const stats = this.networkManager.getShipStats();
+    const ships = (this.networkManager.getGameState() || {}).ships || {};
+    const rules = this.networkManager.getRules();
+    document.getElementById('score-target').textContent = rules ? `(${rules.scrapToWin} to win)` : '';
+
+    list.innerHTML = '';
+    this.players
+      .slice()
+      .sort((a, b) => (scores[b.ship] || 0) - (scores[a.ship] || 0) || a.seat - b.seat)
+      .forEach(player => {
+        const row = document.createElement('div');
+        row.className = 'score-row';
+
+        const name = document.createElement('span');
+        name.style.color = player.color || 'inherit';
+        name.textContent = player.ship === this.networkManager.getPlayerShip() ? `${player.nickname} (you)` : player.nickname;
+        const shipStats = stats[player.ship];
+        if (ships[player.ship] && ships[player.ship].destroyed) {
+          name.textContent += ' 💥';
+          name.title = 'Destroyed';
+          name.style.textDecoration = 'line-through';
+        } else if (shipStats) {
+          name.title = `Hull ${shipStats.hull}/${shipStats.maxHull}, shields ${shipStats.shields}/${shipStats.maxShields}`;
+        }
+
+        const score = document.createElement('strong');
+        score.textContent = scores[player.ship] || 0;
+
+        row.append(name, score);
+        list.appendChild(row);
+      });
+  }
+
+  updateSpectatorList() {
+    const spectators = this.networkManager.getSpectators();
+    const names = spectators.map(s => s.nickname).join(', ');
+
+    const waitingList = document.getElementById('waiting-spectators');
+    if (waitingList) {
+      waitingList.textContent = spectators.length > 0
+        ? `👁 ${spectators.length} watching: ${names}`
+        : '';
+    }
+
+    const infoSpectators = document.getElementById('info-spectators');
+    if (infoSpectators) {
+      infoSpectators.textContent = spectators.length;
+      infoSpectators.title = names;
+    }
   }
 
   async startGame() {
@@ -333,22 +877,33 @@ class MultiplayerApp {
     this.gameEngine = new GameEngine();
     await this.gameEngine.init();
 
-    // Enable multiplayer mode
+    // Put a ship on the board for every seat, then enable multiplayer mode
+    // (spectators have no ship, so every ship follows the network)
     const playerShip = this.networkManager.getPlayerShip();
+    this.gameEngine.setFleet(this.players);
     this.gameEngine.enableMultiplayer(this.networkManager, playerShip);
 
+    const rules = this.networkManager.getRules();
+    if (rules) {
+      this.gameEngine.setGoalCell(rules.goalCell);
+    }
+
     // Update UI with player info
     document.getElementById('info-room-code').textContent = this.networkManager.getRoomId();
-    document.getElementById('info-your-ship').textContent = playerShip.toUpperCase();
-    document.getElementById('your-ship-color').textContent = `${playerShip} ship`;
-    document.getElementById('your-ship-color').style.color = playerShip === 'red' ? '#ef4444' : '#3b82f6';
-
-    // Get opponent info
-    const opponent = this.players.find(p => p.ship !== playerShip);
-    if (opponent) {
-      document.getElementById('info-opponent').textContent = opponent.nickname;
+
+    if (this.networkManager.isSpectating()) {
+      document.getElementById('info-your-ship').textContent = 'SPECTATING';
+      document.getElementById('your-ship-color').textContent = 'no ship (spectating)';
+    } else {
+      document.getElementById('info-your-ship').textContent = playerShip.toUpperCase();
+      document.getElementById('your-ship-color').textContent = `${playerShip} ship`;
+      document.getElementById('your-ship-color').style.color = this.getPlayerBySeat(playerShip)?.color || '';
     }
 
+    this.updateOpponentInfo();
+
+    this.updateSpectatorList();
+
     // Make GameEngine globally accessible for debugging
     window.gameEngine = this.gameEngine;
 
@@ -358,9 +913,16 @@ class MultiplayerApp {
     // Initialize turn UI
     this.initializeTurnUI();
 
+    this.setupChat();
+
     // Start the game
     this.gameEngine.start();
 
+    // Joined or reconnected after the game ended
+    if (this.networkManager.isGameOver()) {
+      this.showResults(this.networkManager.getGameResult());
+    }
+
     console.log('Game started successfully');
   }
 
@@ -392,16 +954,34 @@ class MultiplayerApp {
     const die1Element = document.getElementById('die1');
     const die2Element = document.getElementById('die2');
     const totalElement = document.getElementById('dice-total');
+    const movesElement = document.getElementById('moves-remaining');
 
     if (rollButton && this.gameEngine) {
+      // Show how far the player's ship can still travel this turn
+      if (movesElement) {
+        this.gameEngine.onMoveBudgetChange((remaining) => {
+          movesElement.textContent = remaining;
+        });
+      }
+
+      // Dice are rolled on the server so both players see the same result
       rollButton.addEventListener('click', () => {
+        if (!this.networkManager.isMyTurn() || this.networkManager.hasRolledThisTurn()) {
+          return;
+        }
+
+        rollButton.disabled = true;
+        this.networkManager.rollDice();
+      });
+
+      this.networkManager.onDiceRolled((data) => {
         // Add rolling animation
         die1Element.classList.add('rolling');
         die2Element.classList.add('rolling');
 
-        // Roll the dice after a short delay for animation
+        // Reveal the result after a short delay for animation
         setTimeout(() => {
-          const result = this.gameEngine.rollDice();
+          const result = this.gameEngine.setDiceRoll(data.dice1, data.dice2);
 
           // Update UI
           die1Element.textContent = result.dice1;
@@ -412,8 +992,29 @@ class MultiplayerApp {
           die1Element.classList.remove('rolling');
           die2Element.classList.remove('rolling');
         }, 500);
+
+        // The roll (plus the ship's speed) sets how many cells the roller's ship may move this turn
+        if (data.ship === this.networkManager.getPlayerShip()) {
+          this.gameEngine.setMoveBudget(getRollBudget(data));
+        }
+
+        this.updateEndTurnButton();
       });
 
+      // Show the roll for the current turn when (re)joining mid-turn
+      const diceRoll = this.networkManager.getDiceRoll();
+      if (diceRoll) {
+        const result = this.gameEngine.setDiceRoll(diceRoll.dice1, diceRoll.dice2);
+        die1Element.textContent = result.dice1;
+        die2Element.textContent = result.dice2;
+        totalElement.textContent = result.total;
+
+        // Speed and cells added by an event card this turn count too
+        if (this.networkManager.hasRolledThisTurn() && diceRoll.ship === this.networkManager.getPlayerShip()) {
+          this.gameEngine.setMoveBudget(getRollBudget(diceRoll));
+        }
+      }
+
       // Setup callback for dice roll events
       this.gameEngine.onDiceRoll((dice1, dice2, total) => {
         console.log(`Dice roll event: ${dice1} + ${dice2} = ${total}`);
@@ -421,6 +1022,31 @@ class MultiplayerApp {
     }
   }
 
+  showCardReveal({ ship, card, outcome }) {
+    const myShip = this.networkManager.getPlayerShip();
+    const name = (seat) => {
+      const player = this.getPlayerBySeat(seat);
+      const nickname = player ? player.nickname : seat;
+      return seat === myShip ? `${nickname} (you)` : nickname;
+    };
+
+    document.getElementById('card-drawn-by').textContent = ship === myShip
+      ? 'You drew an event card'
+      : `${name(ship)} drew an event card`;
+    document.getElementById('card-name').textContent = card.name;
+    document.getElementById('card-description').textContent = card.description;
+    document.getElementById('card-outcome').textContent = describeCardOutcome(card, outcome, name);
+    this.cardReveal.classList.add('visible');
+
+    clearTimeout(this.cardRevealTimeout);
+    this.cardRevealTimeout = setTimeout(() => this.hideCardReveal(), CARD_REVEAL_MS);
+  }
+
+  hideCardReveal() {
+    clearTimeout(this.cardRevealTimeout);
+    this.cardReveal.classList.remove('visible');
+  }
+
   showLeaveConfirmation() {
     this.leaveConfirmModal.classList.add('active');
   }
@@ -447,25 +1073,294 @@ class MultiplayerApp {
     window.location.href = 'index.html';
   }
 
-  returnToLobby() {
-    if (this.gameEngine) {
-      this.gameEngine.dispose();
-      this.gameEngine = null;
+  showResults(result) {
+    if (!result) return;
+
+    const playerShip = this.networkManager.getPlayerShip();
+    const winner = result.stats.standings.find(p => p.ship === result.winner);
+    const winnerName = winner ? winner.nickname : result.winner;
+    const rules = this.networkManager.getRules();
+
+    // Title from this player's point of view
+    const title = document.getElementById('results-title');
+    if (!result.winner) {
+      title.textContent = 'DRAW';
+    } else if (result.winner === playerShip) {
+      title.textContent = 'YOU WIN!';
+    } else {
+      title.textContent = `${winnerName.toUpperCase()} WINS`;
     }
 
-    this.isGameStarted = false;
-    this.players = [];
+    const reasons = {
+      [WIN_REASONS.GOAL_REACHED]: `${winnerName} reached the goal`,
+      [WIN_REASONS.SCRAP_COLLECTED]: `${winnerName} collected ${rules ? rules.scrapToWin : ''} scrap`,
+      [WIN_REASONS.LAST_SHIP_STANDING]: `${winnerName} is the last ship standing`,
+      [WIN_REASONS.TURN_LIMIT]: 'Turn limit reached - decided on scrap, then distance to the goal'
+    };
+    document.getElementById('results-reason').textContent = reasons[result.reason] || '';
+
+    const standings = document.getElementById('results-standings');
+    standings.innerHTML = '';
+    result.stats.standings.forEach(player => {
+      const row = document.createElement('tr');
+      [player.rank, player.nickname, player.score, player.distanceToGoal].forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      row.children[1].style.color = player.color || 'inherit';
+      standings.appendChild(row);
+    });
+
+    const minutes = Math.round(result.stats.durationMs / 60000);
+    document.getElementById('results-summary').textContent =
+      `${result.stats.turns} turns in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+
+    // The server keeps the game's action log until everyone has left the room; players of a
+    // protected room pass its read-only log key, spectators are asked for the password on the replay page
+    const roomId = encodeURIComponent(this.networkManager.getRoomId());
+    const logKey = this.networkManager.getLogKey();
+    const keyQuery = logKey ? `key=${encodeURIComponent(logKey)}` : '';
+    document.getElementById('download-log-link').href = `${this.serverUrl}/api/rooms/${roomId}/log${logKey ? `?${keyQuery}` : ''}`;
+    document.getElementById('watch-replay-link').href = `replay.html?room=${roomId}${logKey ? `&${keyQuery}` : ''}`;
+
+    this.updateRematchUI();
+    this.showResultsBtn.style.display = 'block';
+    this.resultsModal.classList.add('active');
+  }
 
-    this.gameUI.classList.remove('active');
-    this.waitingRoom.classList.remove('active');
-    this.lobbyMenu.style.display = 'block';
-    this.lobbyDiv.classList.remove('hidden');
+  hideResults() {
+    this.resultsModal.classList.remove('active');
+  }
+
+  updateRematchUI(message = null) {
+    const status = document.getElementById('rematch-status');
+    const rematch = this.networkManager.getRematch();
+    const awaitingMe = this.networkManager.isRematchAwaitingMe();
+
+    // Spectators can watch the rematch but don't vote on it
+    this.rematchBtn.style.display = this.networkManager.isSpectating() ? 'none' : '';
+    this.declineRematchBtn.style.display = awaitingMe ? '' : 'none';
+
+    if (!rematch) {
+      this.rematchBtn.textContent = 'Rematch';
+      this.rematchBtn.disabled = false;
+      status.textContent = message || '';
+      return;
+    }
+
+    this.rematchBtn.textContent = awaitingMe ? 'Accept Rematch' : 'Rematch Requested';
+    this.rematchBtn.disabled = !awaitingMe;
+
+    const requester = this.getPlayerBySeat(rematch.requestedBy);
+    const waitingFor = (rematch.waitingFor || []).map(ship => this.getPlayerBySeat(ship)?.nickname || ship);
+    status.textContent = `${requester ? requester.nickname : rematch.requestedBy} wants a rematch` +
+      (waitingFor.length > 0 ? ` - waiting for ${waitingFor.join(', ')}` : '');
+  }
+
+  // Wire up the chat panel and show the messages sent before we arrived
+  setupChat() {
+    document.getElementById('chat-toggle-btn').addEventListener('click', () => {
+      this.chatPanel.classList.toggle('collapsed');
+
+      if (!this.chatPanel.classList.contains('collapsed')) {
+        this.unreadChatCount = 0;
+        this.chatUnread.style.display = 'none';
+        this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
+        this.chatInput.focus();
+      }
+    });
+
+    document.getElementById('chat-form').addEventListener('submit', (event) => {
+      event.preventDefault();
+
+      const text = this.chatInput.value.trim();
+      if (!text) return;
+
+      this.networkManager.sendChatMessage(text);
+      this.chatInput.value = '';
+    });
+
+    // Keep typing from triggering the ship hotkeys (G/R/S/1-6/ESC)
+    this.chatInput.addEventListener('keydown', (event) => event.stopPropagation());
+
+    const emotesDiv = document.getElementById('chat-emotes');
+    CHAT_EMOTES.forEach(emote => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = emote.icon;
+      button.title = emote.text;
+      button.addEventListener('click', () => this.networkManager.sendEmote(emote.id));
+      emotesDiv.appendChild(button);
+    });
+
+    this.chatMessages.innerHTML = '';
+    this.networkManager.getChatHistory().forEach(message => this.appendChatMessage(message, false));
+  }
+
+  // Add a message to the chat panel; counts as unread while the panel is collapsed
+  appendChatMessage(message, countUnread = true) {
+    const item = document.createElement('div');
+    item.className = message.emote ? 'chat-message emote' : 'chat-message';
+
+    // Nicknames and text are shown as typed, never parsed as HTML
+    const author = document.createElement('span');
+    author.className = 'chat-author';
+    author.textContent = message.spectator ? `${message.nickname} (spectator)` : message.nickname;
+    author.style.color = this.getPlayerBySeat(message.ship)?.color || '';
+
+    const emote = getChatEmote(message.emote);
+    const text = document.createElement('span');
+    text.className = 'chat-text';
+    text.textContent = emote ? `${emote.icon} ${message.text}` : message.text;
+
+    item.appendChild(author);
+    item.appendChild(text);
+    this.chatMessages.appendChild(item);
+
+    while (this.chatMessages.children.length > CHAT_HISTORY_LIMIT) {
+      this.chatMessages.removeChild(this.chatMessages.firstChild);
+    }
+    this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
+
+    if (countUnread && this.chatPanel.classList.contains('collapsed')) {
+      this.unreadChatCount += 1;
+      this.chatUnread.textContent = this.unreadChatCount;
+      this.chatUnread.style.display = 'inline';
+    }
+  }
 
-    this.createRoomBtn.disabled = false;
-    this.joinRoomBtn.disabled = false;
+  // Read the lobby's time control choice, e.g. "per-turn:60" -> { type: 'per-turn', seconds: 60 }
+  getSelectedTimeControl() {
+    const [type, seconds] = this.createTimeControlSelect.value.split(':');
+    return { type, seconds: Number(seconds) || 0 };
+  }
+
+  // Show how long we've been searching for a quick match and roughly how long it usually takes
+  updateMatchStatus() {
+    const queue = this.networkManager.getMatchQueue();
+    const statusEl = document.getElementById('match-status');
+    if (!queue) return;
+
+    const waited = queue.waitingMs + (Date.now() - queue.receivedAt);
+    const estimate = queue.estimatedWaitMs !== null ? ` · usually ~${formatClock(queue.estimatedWaitMs)}` : '';
+
+    statusEl.textContent = `Searching for an opponent... ${formatClock(waited)} ` +
+      `(position ${queue.position} of ${queue.queueSize})${estimate}`;
+    statusEl.style.display = 'block';
+  }
 
-    // Clear inputs
-    this.roomCodeInput.value = '';
+  // Back to the idle quick match controls
+  resetMatchUI() {
+    clearInterval(this.matchStatusInterval);
+    this.matchStatusInterval = null;
+
+    document.getElementById('match-status').style.display = 'none';
+    this.findMatchBtn.disabled = false;
+    this.cancelMatchBtn.style.display = 'none';
+  }
+
+  // Show the public games that can still be joined, each with a join button
+  updatePublicRoomList(publicRooms) {
+    const container = document.getElementById('public-rooms');
+    container.innerHTML = '';
+
+    if (publicRooms.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'public-rooms-empty';
+      empty.textContent = 'No public games right now - create one!';
+      container.appendChild(empty);
+      return;
+    }
+
+    publicRooms.forEach(room => {
+      const item = document.createElement('div');
+      item.className = 'public-room-item';
+
+      const info = document.createElement('div');
+      const title = document.createElement('div');
+      title.textContent = `${room.hasPassword ? '🔒 ' : ''}${room.host || 'Someone'}'s game`;
+
+      const details = document.createElement('div');
+      details.className = 'public-room-details';
+      details.textContent = [
+        `${room.players}/${room.maxPlayers} players`,
+        room.status === 'playing' ? 'in progress' : null,
+        this.getTimeControlLabel(room.timeControl),
+        this.formatRoomAge(room.ageMs + (Date.now() - room.receivedAt))
+      ].filter(Boolean).join(' · ');
+
+      info.appendChild(title);
+      info.appendChild(details);
+
+      const joinBtn = document.createElement('button');
+      joinBtn.className = 'public-room-join';
+      joinBtn.textContent = 'Join';
+      joinBtn.addEventListener('click', () => {
+        // Protected rooms go through the join form so the password can be typed in first
+        if (room.hasPassword && !this.joinPasswordInput.value) {
+          this.roomCodeInput.value = room.roomId;
+          this.showJoinPassword();
+          this.showStatus('This room needs a password - enter it above and click Join Room', 'info');
+          return;
+        }
+
+        const nickname = this.joinNicknameInput.value.trim() || 'Player 2';
+        this.networkManager.joinRoom(room.roomId, nickname, this.joinColorSelect.value || null, this.joinPasswordInput.value);
+        this.joinRoomBtn.disabled = true;
+        this.showStatus('Joining room...', 'info');
+      });
+
+      item.appendChild(info);
+      item.appendChild(joinBtn);
+      container.appendChild(item);
+    });
+  }
+
+  // Reveal the join form's password field for a protected room
+  showJoinPassword() {
+    this.joinPasswordGroup.style.display = 'block';
+    this.joinPasswordInput.focus();
+  }
+
+  // Short description of a room's time control for the lobby, e.g. "1:00 per turn"
+  getTimeControlLabel(timeControl) {
+    if (!timeControl || timeControl.type === TIME_CONTROL_TYPES.NONE) {
+      return null;
+    }
+
+    const clock = formatClock(timeControl.seconds * 1000);
+    return timeControl.type === TIME_CONTROL_TYPES.BANK ? `${clock} per player` : `${clock} per turn`;
+  }
+
+  // How long ago a room was created, e.g. "just now" or "5m ago"
+  formatRoomAge(ageMs) {
+    const minutes = Math.floor(ageMs / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes}m ago`;
+    return `${Math.floor(minutes / 60)}h ago`;
+  }
+
+  // Reset the board for a new game in the same room, keeping the loaded scene
+  startRematch(data) {
+    this.players = data.players.map(p => this.toPlayer(p));
+
+    this.hideResults();
+    this.showResultsBtn.style.display = 'none';
+
+    if (this.gameEngine) {
+      this.gameEngine.setFleet(this.players);
+      this.gameEngine.resetGame(data.gameState);
+      this.gameEngine.handleTurnChanged(data);
+    }
+
+    // Clear the last game's dice
+    document.getElementById('die1').textContent = 1;
+    document.getElementById('die2').textContent = 1;
+    document.getElementById('dice-total').textContent = 2;
+
+    this.updateOpponentInfo();
+    this.updateTurnUI(data, this.networkManager.isGameReady());
   }
 
   showStatus(message, type) {
@@ -510,6 +1405,39 @@ class MultiplayerApp {
 
     // Update button state based on player count
     this.updateEndTurnButton();
+
+    // The server only sends the clock when a turn starts, so count down locally in between
+    if (!this.turnTimerInterval) {
+      this.turnTimerInterval = setInterval(() => this.updateTurnTimer(), 250);
+    }
+    this.updateTurnTimer();
+  }
+
+  // Show the current turn's countdown under the turn status (hidden when the room has no clock)
+  updateTurnTimer() {
+    const timerDiv = document.getElementById('turn-timer');
+    if (!timerDiv) return;
+
+    const remaining = this.networkManager.getTimeRemaining();
+    if (remaining === null) {
+      timerDiv.style.display = 'none';
+      return;
+    }
+
+    let text = `⏱ ${formatClock(remaining)}`;
+
+    // With a bank clock, players also want to see what they have left while others move
+    const timeControl = this.networkManager.getTimeControl();
+    if (timeControl && timeControl.type === TIME_CONTROL_TYPES.BANK && !this.networkManager.isMyTurn()) {
+      const myBank = this.networkManager.getTimeRemaining(this.networkManager.getPlayerShip());
+      if (myBank !== null) {
+        text += ` · You ${formatClock(myBank)}`;
+      }
+    }
+
+    timerDiv.textContent = text;
+    timerDiv.style.display = 'block';
+    timerDiv.classList.toggle('low', remaining <= LOW_TIME_MS);
   }
 
   updateTurnUI(data, showNotification = true) {
@@ -532,14 +1460,17 @@ class MultiplayerApp {
 
     // Update turn status
     if (turnStatusDiv) {
-      if (this.players.length < 2) {
-        turnStatusDiv.textContent = 'WAITING FOR OPPONENT';
+      if (this.networkManager.isGameOver()) {
+        turnStatusDiv.textContent = 'GAME OVER';
+        turnStatusDiv.className = 'turn-status waiting';
+      } else if (!this.networkManager.isGameReady()) {
+        turnStatusDiv.textContent = 'WAITING FOR PLAYERS';
         turnStatusDiv.className = 'turn-status waiting';
       } else if (isMyTurn) {
         turnStatusDiv.textContent = 'YOUR TURN';
         turnStatusDiv.className = 'turn-status active';
       } else {
-        turnStatusDiv.textContent = "OPPONENT'S TURN";
+        turnStatusDiv.textContent = this.getTurnLabel(data.currentTurn);
         turnStatusDiv.className = 'turn-status waiting';
       }
     }
@@ -547,8 +1478,8 @@ class MultiplayerApp {
     // Update End Turn button
     this.updateEndTurnButton();
 
-    // Show brief notification when turn changes (only if 2 players and not initial load)
-    if (this.players.length >= 2 && showNotification) {
+    // Show brief notification when turn changes (only once the room is full and not initial load)
+    if (this.networkManager.isGameReady() && showNotification) {
       this.showTurnChangeNotification(isMyTurn);
     }
   }
@@ -559,16 +1490,23 @@ class MultiplayerApp {
     const isMyTurn = this.networkManager.isMyTurn();
 
     if (endTurnBtn) {
-      // Disable if not player's turn OR if waiting for opponent
-      endTurnBtn.disabled = !isMyTurn || this.players.length < 2;
+      // Disable if not player's turn OR if waiting for players
+      endTurnBtn.disabled = !isMyTurn || !this.networkManager.isGameReady();
     }
 
     if (rollDiceBtn) {
-      // Enable roll dice button only on player's turn with 2 players
-      rollDiceBtn.disabled = !isMyTurn || this.players.length < 2;
+      // Enable roll dice button only on player's turn in a full room, once per turn
+      rollDiceBtn.disabled = !isMyTurn || !this.networkManager.isGameReady() || this.networkManager.hasRolledThisTurn();
     }
   }
 
+  // "BOB'S TURN" - named after the seat's player, falling back to its colour
+  getTurnLabel(currentTurn) {
+    const player = this.getPlayerBySeat(currentTurn);
+    const name = player ? player.nickname : (currentTurn || '');
+    return `${name.toUpperCase()}'S TURN`;
+  }
+
   showTurnChangeNotification(isMyTurn) {
     // Create notification element if it doesn't exist
     let notification = document.getElementById('turn-notification');
@@ -596,7 +1534,9 @@ class MultiplayerApp {
       document.body.appendChild(notification);
     }
 
-    notification.textContent = isMyTurn ? 'YOUR TURN!' : "OPPONENT'S TURN";
+    notification.textContent = isMyTurn
+      ? 'YOUR TURN!'
+      : this.getTurnLabel(this.networkManager.getCurrentTurn());
     notification.style.borderColor = isMyTurn ? '#22c55e' : '#ef4444';
     notification.style.color = isMyTurn ? '#22c55e' : '#ef4444';
     notification.style.opacity = '1';
@@ -620,9 +1560,9 @@ class MultiplayerApp {
       return;
     }
 
-    // Check if opponent is in the game
-    if (this.players.length < 2) {
-      this.showConnectionStatus('⚠️ Waiting for opponent to join before ending turn', 'warning');
+    // Check if every seat has been filled
+    if (!this.networkManager.isGameReady()) {
+      this.showConnectionStatus('⚠️ Waiting for all players to join before ending turn', 'warning');
       setTimeout(() => this.hideConnectionStatus(), 3000);
       return;
     }
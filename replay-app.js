@@ -0,0 +1,298 @@
+import { GameEngine } from './src/GameEngine.js';
+import { ACTION_TYPES, describeAction, replayActions } from './src/ActionLog.js';
+
+// Time between actions at 1x speed (the recorded gaps can be minutes long, so they aren't used)
+const STEP_INTERVAL_MS = 1000;
+
+class ReplayApp {
+  constructor() {
+    this.gameEngine = null;
+    this.log = null;
+    this.roomId = null; // Room whose log is loaded from the server (replay.html?room=...)
+    this.players = []; // Everyone who appears in the log, for naming ships in the event list
+    this.position = 0; // Number of actions applied to the board
+    this.playInterval = null;
+
+    // UI elements
+    this.loadingDiv = document.getElementById('loading');
+    this.loadPanel = document.getElementById('load-panel');
+    this.infoPanel = document.getElementById('replay-info');
+    this.controls = document.getElementById('replay-controls');
+    this.eventList = document.getElementById('replay-events');
+    this.scrubber = document.getElementById('replay-scrubber');
+    this.playBtn = document.getElementById('replay-play-btn');
+    this.speedSelect = document.getElementById('replay-speed');
+  }
+
+  async init() {
+    this.setupEventListeners();
+
+    // replay.html?room=ABC123 loads the log from the server; otherwise pick a downloaded file.
+    // Players of a password-protected room arrive with its read-only log key (&key=...)
+    const params = new URLSearchParams(window.location.search);
+    this.roomId = params.get('room');
+    if (!this.roomId) {
+      this.showLoadPanel();
+      return;
+    }
+
+    await this.loadRoomLog({ key: params.get('key') || '' });
+  }
+
+  // Fetch a finished room's log; `credentials` is { key } or { password } for a protected room
+  async loadRoomLog(credentials = {}) {
+    // Same server selection as the multiplayer page
+    const serverUrl = window.location.hostname === 'localhost'
+      ? 'http://localhost:3000'
+      : window.location.origin;
+    const query = new URLSearchParams(Object.entries(credentials).filter(([, value]) => value)).toString();
+
+    try {
+      const response = await fetch(`${serverUrl}/api/rooms/${encodeURIComponent(this.roomId)}/log${query ? `?${query}` : ''}`);
+      const body = await response.json();
+      if (!response.ok) {
+        const error = new Error(body.error || `Server responded with ${response.status}`);
+        error.code = body.code;
+        throw error;
+      }
+
+      await this.loadLog(body);
+    } catch (error) {
+      console.error('ReplayApp: Failed to load the log:', error);
+      const needsPassword = ['PASSWORD_REQUIRED', 'INVALID_PASSWORD', 'PASSWORD_RATE_LIMITED'].includes(error.code);
+      this.showLoadPanel(`Couldn't load room ${this.roomId}: ${error.message}`, needsPassword);
+    }
+  }
+
+  setupEventListeners() {
+    document.getElementById('log-password-btn').addEventListener('click', () => {
+      this.loadPanel.style.display = 'none';
+      this.loadRoomLog({ password: document.getElementById('log-password').value });
+    });
+
+    document.getElementById('log-file').addEventListener('change', (event) => {
+      const file = event.target.files[0];
+      if (!file) return;
+
+      file.text()
+        .then(text => this.loadLog(JSON.parse(text)))
+        .catch(error => {
+          console.error('ReplayApp: Failed to read the log file:', error);
+          this.showLoadPanel(`That file isn't a game log: ${error.message}`);
+        });
+    });
+
+    document.getElementById('replay-start-btn').addEventListener('click', () => {
+      this.pause();
+      this.showStep(0);
+    });
+    document.getElementById('replay-prev-btn').addEventListener('click', () => {
+      this.pause();
+      this.showStep(this.position - 1);
+    });
+    document.getElementById('replay-next-btn').addEventListener('click', () => {
+      this.pause();
+      this.showStep(this.position + 1);
+    });
+    this.playBtn.addEventListener('click', () => this.togglePlay());
+
+    this.scrubber.addEventListener('input', () => {
+      this.pause();
+      this.showStep(Number(this.scrubber.value));
+    });
+
+    // A new speed takes effect straight away
+    this.speedSelect.addEventListener('change', () => {
+      if (this.playInterval) {
+        this.pause();
+        this.play();
+      }
+    });
+
+    document.addEventListener('keydown', (event) => {
+      if (!this.log) return;
+
+      if (event.code === 'Space') {
+        event.preventDefault();
+        this.togglePlay();
+      } else if (event.code === 'ArrowLeft') {
+        this.pause();
+        this.showStep(this.position - 1);
+      } else if (event.code === 'ArrowRight') {
+        this.pause();
+        this.showStep(this.position + 1);
+      }
+    });
+
+    window.addEventListener('resize', () => {
+      if (this.gameEngine) {
+        this.gameEngine.handleResize();
+      }
+    });
+  }
+
+  async loadLog(log) {
+    if (!log || !Array.isArray(log.actions)) {
+      throw new Error('No actions found');
+    }
+
+    this.pause();
+    this.log = log;
+    this.players = [];
+    log.actions.forEach(action => {
+      const seats = action.type === ACTION_TYPES.GAME_START ? action.players
+        : action.type === ACTION_TYPES.JOIN ? [action]
+        : [];
+      seats.forEach(({ ship, nickname }) => {
+        if (!this.players.some(p => p.ship === ship)) {
+          this.players.push({ ship, nickname });
+        }
+      });
+    });
+
+    this.loadPanel.style.display = 'none';
+    this.loadingDiv.style.display = 'block';
+    this.loadingDiv.textContent = 'Loading 3D Board Game...';
+
+    if (!this.gameEngine) {
+      this.gameEngine = new GameEngine();
+      await this.gameEngine.init();
+      this.gameEngine.enableReplay();
+      this.gameEngine.start();
+
+      // Make GameEngine globally accessible for debugging
+      window.gameEngine = this.gameEngine;
+    }
+
+    if (log.rules) {
+      this.gameEngine.setGoalCell(log.rules.goalCell);
+    }
+
+    document.getElementById('replay-room').textContent = log.roomId || '';
+    this.renderEventList();
+    this.scrubber.max = log.actions.length;
+
+    this.loadingDiv.style.display = 'none';
+    this.infoPanel.style.display = 'block';
+    this.controls.style.display = 'flex';
+
+    console.log(`ReplayApp: Loaded ${log.actions.length} actions for room ${log.roomId}`);
+    this.showStep(0);
+  }
+
+  showLoadPanel(message = '', needsPassword = false) {
+    this.loadingDiv.style.display = 'none';
+    document.getElementById('load-error').textContent = message;
+    document.getElementById('log-password-form').style.display = needsPassword ? 'block' : 'none';
+    this.loadPanel.style.display = 'block';
+  }
+
+  renderEventList() {
+    this.eventList.innerHTML = '';
+    this.log.actions.forEach((action, index) => {
+      const item = document.createElement('li');
+      item.textContent = describeAction(action, this.players);
+      item.addEventListener('click', () => {
+        this.pause();
+        this.showStep(index + 1);
+      });
+      this.eventList.appendChild(item);
+    });
+  }
+
+  // Put the board in the state it was in after the first `position` actions
+  showStep(position) {
+    const actions = this.log.actions;
+    const previous = this.position;
+    this.position = Math.max(0, Math.min(actions.length, position));
+
+    const state = replayActions(actions, this.position);
+    this.gameEngine.setFleet(state.players);
+    this.gameEngine.resetGame({ ships: state.ships, blackHoles: state.blackHoles, scrap: state.scrap, stats: state.stats });
+
+    // Stepping onto a teleport, a ram or damage plays its effects, like the players saw it
+    const action = actions[this.position - 1];
+    if (this.position === previous + 1 && action.type === ACTION_TYPES.TELEPORT) {
+      this.gameEngine.handleShipTeleported(action);
+    } else if (this.position === previous + 1 && action.type === ACTION_TYPES.RAM) {
+      this.gameEngine.handleShipRammed(action);
+    } else if (this.position === previous + 1 && action.type === ACTION_TYPES.DAMAGE) {
+      this.gameEngine.handleShipDamaged(action);
+    }
+
+    this.updateInfo(state);
+
+    this.scrubber.value = this.position;
+    document.getElementById('replay-position').textContent = `${this.position} / ${actions.length}`;
+
+    Array.from(this.eventList.children).forEach((item, index) => {
+      item.classList.toggle('played', index < this.position);
+      item.classList.toggle('current', index === this.position - 1);
+    });
+    const current = this.eventList.children[this.position - 1];
+    if (current) {
+      current.scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+  updateInfo(state) {
+    const playersDiv = document.getElementById('replay-players');
+    playersDiv.innerHTML = '';
+    state.players.forEach(player => {
+      const ship = state.ships[player.ship];
+      const label = document.createElement('span');
+      label.style.color = player.color || 'inherit';
+      const stats = state.stats[player.ship];
+      const hull = stats ? ` (hull ${stats.hull}/${stats.maxHull})` : '';
+      const status = ship && ship.destroyed ? ' (destroyed)' : ship && ship.forfeited ? ' (forfeited)' : '';
+      label.textContent = `${player.nickname} (${state.scores[player.ship] || 0} scrap)${hull}${status}`;
+      playersDiv.appendChild(label);
+    });
+
+    const currentPlayer = state.players.find(p => p.ship === state.currentTurn);
+    document.getElementById('replay-turn').textContent = state.turnNumber;
+    document.getElementById('replay-current').textContent = currentPlayer ? currentPlayer.nickname : (state.currentTurn || '-');
+    document.getElementById('replay-dice').textContent = state.diceRoll
+      ? `${state.diceRoll.dice1} + ${state.diceRoll.dice2} = ${state.diceRoll.total}`
+      : '-';
+
+    const result = state.result;
+    const winner = result && this.players.find(p => p.ship === result.winner);
+    document.getElementById('replay-result').textContent = !result
+      ? ''
+      : result.winner ? `🏆 ${winner ? winner.nickname : result.winner} wins` : 'Draw';
+  }
+
+  togglePlay() {
+    if (this.playInterval) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+
+  play() {
+    // Playing from the end starts over
+    if (this.position >= this.log.actions.length) {
+      this.showStep(0);
+    }
+
+    const speed = Number(this.speedSelect.value) || 1;
+    this.playInterval = setInterval(() => {
+      this.showStep(this.position + 1);
+      if (this.position >= this.log.actions.length) {
+        this.pause();
+      }
+    }, STEP_INTERVAL_MS / speed);
+    this.playBtn.textContent = '⏸';
+  }
+
+  pause() {
+    clearInterval(this.playInterval);
+    this.playInterval = null;
+    this.playBtn.textContent = '▶';
+  }
+}
+
+const replayApp = new ReplayApp();
+replayApp.init();
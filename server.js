@@ -3,6 +3,40 @@ import { createServer } from 'http';
 import { Server } from 'socket.io';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { readFileSync } from 'fs';
+import { randomBytes, scrypt as scryptCallback, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import { BoardGrid } from './src/BoardGrid.js';
+import { SEAT_START_STATES, getSeatStartState, isWithinMoveBudget } from './src/MovementRules.js';
+import { FLEET_COLORS, MIN_PLAYERS, clampPlayerCount, getFleetColor } from './src/Fleet.js';
+import { DEFAULT_WIN_RULES, MIN_GOAL_DISTANCE, evaluateWinConditions, findHomesNearGoal, isShipActive, rankShips } from './src/WinConditions.js';
+import { TIME_CONTROL_TYPES, normalizeTimeControl } from './src/TimeControls.js';
+import { CHAT_HISTORY_LIMIT, CHAT_MAX_LENGTH, CHAT_RATE_LIMIT, getChatEmote } from './src/Chat.js';
+import { ACTION_TYPES } from './src/ActionLog.js';
+import { applyTransformDelta, dequantizeTransform, encodeTransformDelta, isNewerSeq } from './src/ShipUpdateProtocol.js';
+import { findBlackHole, generateBlackHoles, getTeleportSeed, pickTeleportDestination } from './src/Hazards.js';
+import {
+  applyCardEffect,
+  createDeck,
+  drawCard,
+  getCardEffectSeed,
+  getDeckSeed,
+  shouldDrawCard,
+  validateCardDefinitions
+} from './src/EventCards.js';
+import { createSeed } from './src/Random.js';
+import { findRamTarget, resolveRam } from './src/Ramming.js';
+import { BLACK_HOLE_DAMAGE, DAMAGE_CAUSES, applyDamage, createShipStats, getRollBudget } from './src/ShipStats.js';
+import {
+  SCRAP_MAX_ON_BOARD,
+  SCRAP_RESPAWN_COUNT,
+  SCRAP_START_COUNT,
+  findScrap,
+  getScrapSeed,
+  isScrapRespawnTurn,
+  placeScrap
+} from './src/Scrap.js';
+import { createRoomStore } from './server/RoomStore.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -25,61 +59,147 @@ const io = new Server(httpServer, {
 
 const PORT = process.env.PORT || 3000;
 
-// Game rooms storage
-const rooms = new Map();
+// Game rooms storage (written through to disk unless ROOM_STORE=memory)
+const rooms = createRoomStore();
+
+// Board grid used to validate moves (matches the GameBoard_Base mesh the clients load)
+const boardGrid = new BoardGrid();
+
+// Event card definitions, and which rolls draw a card unless a room says otherwise
+const EVENT_CARDS = validateCardDefinitions(
+  JSON.parse(readFileSync(join(__dirname, 'src', 'data', 'event-cards.json'), 'utf8'))
+);
+
+// A home within reach of the goal would let the first good roll win the game
+const homesNearGoal = findHomesNearGoal(boardGrid, DEFAULT_WIN_RULES.goalCell, SEAT_START_STATES.map(start => start.cell));
+if (homesNearGoal.length > 0) {
+  throw new Error(`Homes ${homesNearGoal.map(cell => `(${cell.col}, ${cell.row})`).join(', ')} are closer than ${MIN_GOAL_DISTANCE} cells to the goal`);
+}
 
 // Disconnection grace period (60 seconds)
 const DISCONNECTION_GRACE_PERIOD = 60000;
 
+// Running turn timers by room ID (kept out of the rooms so they can be saved as JSON)
+const turnTimers = new Map();
+
+// Longest room password accepted at creation
+const MAX_PASSWORD_LENGTH = 64;
+
+// Hashing runs on the libuv thread pool so password checks don't hold up every other room
+const scrypt = promisify(scryptCallback);
+
+// At most `attempts` wrong room passwords per client address in any `windowMs` (sockets and log downloads share the count)
+const PASSWORD_ATTEMPT_LIMIT = { attempts: 5, windowMs: 60000 };
+
+// Recent wrong password times by `ip:<address>`, for rate limiting
+const passwordFailures = new Map();
+
+// Drag update streams by `${roomId}:${ship}`: { seq, transform, relayed, commit } where `transform` is the last quantised
+// transform received (the base for the next delta), `relayed` the last one passed on to the other players and
+// `commit` the latest commit's { seq, result } so a retry gets the same answer
+const shipStreams = new Map();
+
+// Recent chat message times by socket ID, for rate limiting
+const chatRateLimits = new Map();
+
+// Socket.IO room for clients browsing public games; they get the room list whenever it changes
+const LOBBY_CHANNEL = 'lobby';
+
+// Sockets waiting for a quick match, oldest first: [{ socketId, nickname, color, queuedAt }]
+const matchQueue = [];
+
+// How long the last few quick matches took to find, for wait estimates
+const recentMatchWaits = [];
+const MATCH_WAIT_SAMPLES = 10;
+
 // Room structure:
 // {
 //   id: string,
-//   players: [{ id, ship, nickname, connected, disconnectedAt }],
-//   gameState: { redShip: {}, blueShip: {} },
-//   currentTurn: 'red' | 'blue',
-//   turnNumber: number
+//   maxPlayers: number, // 2-6 seats, chosen by the host
+//   isPublic: boolean, // Listed in the lobby browser while it has free seats
+//   passwordHash: string | null, // 'salt:hash' (scrypt) when joining or watching needs a password; never sent to clients
+//   logKey: string | null, // Read-only key to a protected room's log, only good for downloading it; sent to seated players alone
+//   hostShip: string, // Seat id of the host, who can kick players, lock the room and hand hosting on
+//   locked: boolean, // Locked rooms take no new players or spectators
+//   createdAt: number,
+//   status: 'waiting' | 'playing' | 'finished', // Playing once every seat has been filled
+//   players: [{ id, ship, seat, color, nickname, token, connected, disconnectedAt }],
+//   spectators: [{ id, nickname }], // Read-only watchers, not counted as seats
+//   seed: number, // Picks this game's black holes, teleport destinations, scrap drops and card shuffles; never sent to clients
+//   deck: { drawPile: [cardId], discardPile: [cardId], shuffles }, // Event cards (see src/EventCards.js); never sent to clients
+//   gameState: {
+//     ships: { [ship]: { cell, facing, destroyed?, forfeited? } }, // Keyed by seat id (fleet colour)
+//     stats: { [ship]: { hull, maxHull, shields, maxShields, speed } }, // See src/ShipStats.js
+//     blackHoles: [{ id, cell }],
+//     scrap: [{ id, cell, value }], // Tokens still on the board
+//     scores: { [ship]: number }, // Scrap collected this game
+//     shields: { [ship]: true }, // Ships a card shields from the next black hole
+//     skips: { [ship]: true } // Ships a card makes skip their next turn
+//   },
+//   currentTurn: string, // Seat id whose turn it is; turns rotate in seat order
+//   turnNumber: number,
+//   diceRoll: { ship, dice1, dice2, total, speed, turnNumber, bonus? } | null, // `speed` is the roller's, `bonus` cells come from event cards
+//   turnStartCell: { col, row }, // Where the current ship started this turn
+//   turnMoves: { turnNumber, states: [{ cell, facing }], teleported? } | null, // Where the current ship has been this turn, for undo
+//   rules: { goalCell, scrapToWin, turnLimit, drawOn: { doubles, totals } }, // Win conditions checked after every turn, and which rolls draw a card
+//   startedAt: number | null, // When the last seat was filled
+//   result: { winner, reason, stats } | null, // Set once the game is over; no more moves are accepted
+//   firstSeat: number, // Seat that took the first turn of the current game
+//   rematch: { requestedBy, accepted: [ship] } | null, // Pending rematch vote after a game
+//   timeControl: { type: 'none' | 'per-turn' | 'bank', seconds }, // Chosen by the host
+//   clocks: { [ship]: ms }, // Time left in each player's bank (bank time control only)
+//   turnStartedAt: number | null, // When the current turn's clock started
+//   turnDeadline: number | null, // When the current turn times out; null when no clock is running
+//   chat: [{ nickname, ship, spectator, text, emote, sentAt }], // Last CHAT_HISTORY_LIMIT messages, as typed (clients render them as text)
+//   actionLog: [{ type, at, turnNumber, ... }] // Every authoritative action of the current game, for replays (see src/ActionLog.js)
 // }
 
 io.on('connection', (socket) => {
   console.log(`Player connected: ${socket.id}`);
 
   // Create a new room
-  socket.on('create-room', (data) => {
-    const roomId = generateRoomId();
+  socket.on('create-room', async (data) => {
     const nickname = data?.nickname || 'Player 1';
+    const password = typeof data?.password === 'string' ? data.password : '';
 
-    rooms.set(roomId, {
-      id: roomId,
-      players: [{
-        id: socket.id,
-        ship: 'red',
-        nickname: nickname,
-        connected: true,
-        disconnectedAt: null
-      }],
-      gameState: {
-        redShip: { position: null, rotation: null, scale: null },
-        blueShip: { position: null, rotation: null, scale: null }
-      },
-      currentTurn: 'red', // Red player (creator) starts first
-      turnNumber: 1
+    if (password.length > MAX_PASSWORD_LENGTH) {
+      socket.emit('error', { message: `Room passwords can be at most ${MAX_PASSWORD_LENGTH} characters` });
+      return;
+    }
+
+    const room = createRoom({
+      maxPlayers: data?.maxPlayers,
+      isPublic: data?.isPublic === true,
+      timeControl: data?.timeControl,
+      passwordHash: password ? await hashRoomPassword(password) : null
     });
+    const roomId = room.id;
+
+    // The creator starts first
+    const player = seatPlayer(room, socket.id, nickname, data?.color);
+
+    rooms.save(room);
 
+    leaveLobby(socket);
     socket.join(roomId);
     socket.emit('room-created', {
-      roomId,
-      playerShip: 'red',
-      nickname: nickname,
-      currentTurn: 'red',
-      turnNumber: 1
+      ...serializeRoom(room),
+      playerShip: player.ship,
+      nickname: player.nickname,
+      reconnectToken: player.token,
+      logKey: room.logKey
     });
 
-    console.log(`Room created: ${roomId} by ${socket.id}`);
+    if (room.isPublic) {
+      broadcastRoomList();
+    }
+
+    console.log(`Room created: ${roomId} by ${socket.id} (${room.maxPlayers} seats, ${room.timeControl.type} time control${room.isPublic ? ', public' : ''}${room.passwordHash ? ', password' : ''})`);
   });
 
   // Join an existing room
-  socket.on('join-room', (data) => {
-    const { roomId, nickname } = data;
+  socket.on('join-room', async (data) => {
+    const { roomId, nickname, color, password } = data;
     const room = rooms.get(roomId);
 
     if (!room) {
@@ -87,52 +207,102 @@ io.on('connection', (socket) => {
       return;
     }
 
-    if (room.players.length >= 2) {
-      socket.emit('error', { message: 'Room is full' });
+    if (rejectLockedRoom(socket, room)) return;
+    if (await rejectWrongPassword(socket, room, password)) return;
+
+    if (room.status === 'finished') {
+      socket.emit('error', { message: 'This game has already finished', code: 'GAME_OVER' });
+      return;
+    }
+
+    if (room.players.length >= room.maxPlayers) {
+      socket.emit('error', { message: 'Room is full - you can still watch as a spectator', code: 'ROOM_FULL' });
       return;
     }
 
-    // Assign the blue ship to the second player
-    const playerShip = 'blue';
-    const playerNickname = nickname || 'Player 2';
+    // Take the next free seat
+    const wasWaiting = room.status === 'waiting';
+    const player = seatPlayer(room, socket.id, nickname || `Player ${room.players.length + 1}`, color);
 
-    room.players.push({
-      id: socket.id,
-      ship: playerShip,
-      nickname: playerNickname,
-      connected: true,
-      disconnectedAt: null
-    });
+    // Filling the last seat starts the clock; joining a game already under way leaves the current turn's clock alone
+    if (wasWaiting && room.status === 'playing') {
+      startTurnTimer(room);
+    }
+
+    rooms.save(room);
 
+    leaveLobby(socket);
     socket.join(roomId);
 
     // Notify the joining player (send them the full player list)
     socket.emit('room-joined', {
-      roomId,
-      playerShip,
-      nickname: playerNickname,
-      gameState: room.gameState,
-      players: room.players, // Send all players including Player 1
-      currentTurn: room.currentTurn,
-      turnNumber: room.turnNumber
+      ...serializeRoom(room),
+      playerShip: player.ship,
+      nickname: player.nickname,
+      reconnectToken: player.token,
+      logKey: room.logKey
     });
 
-    // Notify the other player
+    // Notify the other players
     socket.to(roomId).emit('player-joined', {
-      playerShip,
-      nickname: playerNickname
+      playerShip: player.ship,
+      nickname: player.nickname,
+      seat: player.seat,
+      color: player.color,
+      status: room.status,
+      turnOrder: getTurnOrder(room),
+      gameState: room.gameState
     });
 
-    console.log(`Player ${socket.id} joined room: ${roomId} as ${playerShip} ship`);
+    if (room.isPublic) {
+      broadcastRoomList();
+    }
+
+    console.log(`Player ${socket.id} joined room: ${roomId} as ${player.ship} ship (${room.players.length}/${room.maxPlayers})`);
+  });
+
+  // Join the quick-match queue; the two players who have waited longest are put in a new room together
+  socket.on('find-match', (data) => {
+    if (isSocketInRoom(socket.id)) {
+      socket.emit('error', {
+        message: 'Leave your current room before finding a match',
+        code: 'ALREADY_IN_ROOM'
+      });
+      return;
+    }
+
+    if (!matchQueue.some(entry => entry.socketId === socket.id)) {
+      matchQueue.push({
+        socketId: socket.id,
+        nickname: data?.nickname || 'Player',
+        color: data?.color || null,
+        queuedAt: Date.now()
+      });
+      console.log(`Player ${socket.id} joined the match queue (${matchQueue.length} waiting)`);
+    }
+
+    matchQueuedPlayers();
+    emitMatchQueueStatus();
   });
 
-  // Handle ship transformation updates
+  // Leave the quick-match queue
+  socket.on('cancel-match', () => {
+    if (removeFromMatchQueue(socket.id)) {
+      socket.emit('match-cancelled');
+      emitMatchQueueStatus();
+    }
+  });
+
+  // Handle ship drags: throttled, delta-compressed and sequenced (see src/ShipUpdateProtocol.js)
   socket.on('ship-update', (data) => {
-    const { roomId, ship, transform } = data;
+    const { roomId, ship } = data;
     const room = rooms.get(roomId);
 
     if (!room) return;
 
+    if (rejectSpectator(socket, room)) return;
+    if (rejectFinishedGame(socket, room)) return;
+
     // Validate it's the player's turn
     const player = room.players.find(p => p.id === socket.id);
     if (!player) return;
@@ -143,17 +313,176 @@ io.on('connection', (socket) => {
       return;
     }
 
-    // Update game state
-    if (ship === 'red') {
-      room.gameState.redShip = transform;
-    } else if (ship === 'blue') {
-      room.gameState.blueShip = transform;
+    // Drop stale or out-of-order updates, and deltas we have no base for (the next keyframe catches us up)
+    const stream = getShipStream(roomId, ship);
+    if (!isNewerSeq(stream.seq, data.seq)) return;
+
+    const transform = applyTransformDelta(stream.transform, data.delta, data.key === true);
+    if (!transform) return;
+
+    stream.seq = data.seq;
+    stream.transform = transform;
+
+    const move = checkShipMove(room, ship, transform, data.facing);
+    if (move.error) {
+      // Send the last accepted state back so the client can snap to it
+      socket.emit('move-rejected', {
+        ship,
+        state: getShipState(room, ship),
+        message: move.error
+      });
+      return;
+    }
+
+    // Remember where the ship started this turn before the first update moves it
+    getTurnMoves(room);
+    room.gameState.ships[ship] = move.state;
+    // Not saved: drag updates are previews (the turn ends from the last committed move) and come
+    // many times a second, and every save rewrites the whole room file
+
+    // The other players get what changed since the last update relayed to them
+    const isKeyframe = data.key === true || !stream.relayed;
+    socket.to(roomId).emit('ship-updated', {
+      ship,
+      seq: data.seq,
+      key: isKeyframe,
+      delta: encodeTransformDelta(transform, isKeyframe ? null : stream.relayed),
+      state: move.state,
+      sentAt: Number.isFinite(data.sentAt) ? data.sentAt : null
+    });
+    stream.relayed = transform;
+  });
+
+  // Where a dragged ship was let go; every commit is answered so the client can retry until one gets through
+  socket.on('commit-move', (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    const { roomId, ship } = data || {};
+    const room = rooms.get(roomId);
+
+    if (!room) {
+      reply({ ok: false, message: 'Room not found' });
+      return;
+    }
+
+    if (rejectSpectator(socket, room) || rejectFinishedGame(socket, room)) {
+      reply({ ok: false, message: 'You cannot move ships in this room' });
+      return;
+    }
+
+    const player = room.players.find(p => p.id === socket.id);
+    if (!player || room.currentTurn !== player.ship || ship !== player.ship) {
+      reply({ ok: false, state: getShipState(room, ship), message: 'Not your turn or invalid ship' });
+      return;
+    }
+
+    // A retried commit gets the answer the first attempt got, which may have been lost on the way back
+    const stream = getShipStream(roomId, ship);
+    if (!isNewerSeq(stream.seq, data.seq)) {
+      reply(stream.commit && stream.commit.seq === data.seq
+        ? stream.commit.result
+        : { ok: false, state: getShipState(room, ship), message: 'A newer move has already been made' });
+      return;
+    }
+
+    const transform = applyTransformDelta(null, data.transform, true);
+    if (!transform) {
+      reply({ ok: false, state: getShipState(room, ship), message: 'Invalid move' });
+      return;
+    }
+
+    // The next drag starts over with a keyframe
+    stream.seq = data.seq;
+    stream.transform = null;
+    stream.relayed = null;
+    const answer = (result) => {
+      stream.commit = { seq: data.seq, result };
+      reply(result);
+    };
+
+    const move = checkShipMove(room, ship, transform, data.facing);
+    if (move.error) {
+      answer({ ok: false, state: getShipState(room, ship), message: move.error });
+      return;
+    }
+
+    const turnMoves = getTurnMoves(room);
+    const state = move.state;
+    room.gameState.ships[ship] = state;
+
+    // Committed moves count for undo and the log, not every step of the drag
+    if (!isSameShipState(turnMoves[turnMoves.length - 1], state)) {
+      turnMoves.push({ ...state });
+    }
+    logAction(room, ACTION_TYPES.MOVE, { ship, state });
+
+    // Ending on a black hole throws the ship out somewhere else, decided here so every client agrees
+    const blackHole = findBlackHole(room.gameState.blackHoles, state.cell);
+    const teleport = blackHole && teleportShip(room, ship, blackHole);
+    rooms.save(room);
+
+    socket.to(roomId).emit('ship-updated', {
+      ship,
+      seq: data.seq,
+      state,
+      committed: true
+    });
+    if (teleport) {
+      io.to(roomId).emit('ship-teleported', teleport);
+    }
+
+    // Being thrown out of a black hole is rough on the hull, and a ship it destroys loses the rest of its turn
+    if (teleport && !teleport.shielded) {
+      if (damageShip(room, ship, BLACK_HOLE_DAMAGE, DAMAGE_CAUSES.BLACK_HOLE)) {
+        endDestroyedTurn(room, ship);
+      }
+      rooms.save(room);
+    }
+    answer({ ok: true, state: getShipState(room, ship) });
+  });
+
+  // Take back moves made this turn; the ship can only go back to a state it was in earlier in the same turn
+  socket.on('undo-move', (data) => {
+    const { roomId, ship } = data;
+    const room = rooms.get(roomId);
+
+    if (!room) return;
+
+    if (rejectSpectator(socket, room)) return;
+    if (rejectFinishedGame(socket, room)) return;
+
+    const player = room.players.find(p => p.id === socket.id);
+    if (!player) return;
+
+    if (room.currentTurn !== player.ship || ship !== player.ship) {
+      socket.emit('error', { message: 'Not your turn or invalid ship' });
+      return;
+    }
+
+    const turnMoves = getTurnMoves(room);
+    const index = turnMoves.findLastIndex(previous => isSameShipState(previous, data));
+    if (index === -1) {
+      // Send the current state back so the client can snap to it
+      socket.emit('move-rejected', {
+        ship,
+        state: getShipState(room, ship),
+        message: 'Only moves made this turn can be undone'
+      });
+      return;
     }
 
-    // Broadcast to other players in the room
+    turnMoves.splice(index + 1);
+    const state = { ...turnMoves[index] };
+    room.gameState.ships[ship] = state;
+    logAction(room, ACTION_TYPES.MOVE, { ship, state, undo: true });
+    rooms.save(room);
+
+    console.log(`Room ${roomId}: ${player.ship} undid a move (back to ${state.cell.col},${state.cell.row})`);
+
     socket.to(roomId).emit('ship-updated', {
       ship,
-      transform
+      transform: null,
+      state,
+      committed: true
     });
   });
 
@@ -169,6 +498,72 @@ io.on('connection', (socket) => {
     socket.to(roomId).emit('ship-selection-changed', { ship });
   });
 
+  // Handle dice rolls (rolled on the server so every player sees the same result)
+  socket.on('roll-dice', (data) => {
+    const { roomId } = data;
+    const room = rooms.get(roomId);
+
+    if (!room) {
+      socket.emit('error', { message: 'Room not found' });
+      return;
+    }
+
+    if (rejectSpectator(socket, room)) return;
+    if (rejectFinishedGame(socket, room)) return;
+
+    const player = room.players.find(p => p.id === socket.id);
+    if (!player) {
+      socket.emit('error', { message: 'Player not found' });
+      return;
+    }
+
+    if (room.status !== 'playing') {
+      socket.emit('error', { message: 'Waiting for all players to join' });
+      return;
+    }
+
+    if (room.currentTurn !== player.ship) {
+      socket.emit('error', { message: 'Not your turn' });
+      return;
+    }
+
+    // Only one roll is allowed per turn
+    if (room.diceRoll && room.diceRoll.turnNumber === room.turnNumber) {
+      socket.emit('error', { message: 'You have already rolled this turn' });
+      return;
+    }
+
+    const dice1 = rollDie();
+    const dice2 = rollDie();
+
+    room.diceRoll = {
+      ship: player.ship,
+      dice1,
+      dice2,
+      total: dice1 + dice2,
+      speed: room.gameState.stats[player.ship] ? room.gameState.stats[player.ship].speed : 0,
+      turnNumber: room.turnNumber
+    };
+    logAction(room, ACTION_TYPES.ROLL, { ship: player.ship, dice1, dice2, total: room.diceRoll.total });
+    rooms.save(room);
+
+    console.log(`Room ${roomId}: ${player.ship} rolled ${dice1} + ${dice2} = ${room.diceRoll.total} (Turn #${room.turnNumber})`);
+
+    // Broadcast the result to everyone in the room, including the roller
+    io.to(roomId).emit('dice-rolled', room.diceRoll);
+
+    if (shouldDrawCard(room.rules.drawOn, dice1, dice2)) {
+      playEventCard(room, player.ship);
+
+      // A card that destroyed a ship may have left only one standing
+      const result = evaluateRoom(room);
+      if (result) {
+        finishGame(room, result);
+      }
+      rooms.save(room);
+    }
+  });
+
   // Handle end turn
   socket.on('end-turn', (data) => {
     const { roomId } = data;
@@ -179,16 +574,19 @@ io.on('connection', (socket) => {
       return;
     }
 
+    if (rejectSpectator(socket, room)) return;
+    if (rejectFinishedGame(socket, room)) return;
+
     const player = room.players.find(p => p.id === socket.id);
     if (!player) {
       socket.emit('error', { message: 'Player not found' });
       return;
     }
 
-    // Check if both players are in the room
-    if (room.players.length < 2) {
-      socket.emit('error', { message: 'Waiting for opponent to join' });
-      console.log(`Room ${roomId}: Cannot end turn - only ${room.players.length} player(s) in room`);
+    // Check if every seat has been filled
+    if (room.status !== 'playing') {
+      socket.emit('error', { message: 'Waiting for all players to join' });
+      console.log(`Room ${roomId}: Cannot end turn - only ${room.players.length}/${room.maxPlayers} player(s) in room`);
       return;
     }
 
@@ -198,121 +596,141 @@ io.on('connection', (socket) => {
       return;
     }
 
-    // Switch turn to the other player
-    room.currentTurn = room.currentTurn === 'red' ? 'blue' : 'red';
-    room.turnNumber += 1;
+    settleShip(room, player.ship);
+    logAction(room, ACTION_TYPES.END_TURN, { ship: player.ship, state: getShipState(room, player.ship), timedOut: false });
+    ramShip(room, player.ship);
+    collectScrap(room, player.ship);
+
+    // The move that was just made may have decided the game
+    const result = evaluateRoom(room);
+    if (result) {
+      finishGame(room, result);
+      rooms.save(room);
+      return;
+    }
+
+    // Pass the turn to the next seat
+    advanceTurn(room, player.seat);
 
     console.log(`Room ${roomId}: Turn changed to ${room.currentTurn} (Turn #${room.turnNumber})`);
     console.log(`Room ${roomId}: Emitting to all ${room.players.length} players in room`);
 
     // Notify all players in the room about the turn change
-    io.to(roomId).emit('turn-changed', {
-      currentTurn: room.currentTurn,
-      turnNumber: room.turnNumber
-    });
+    emitTurnChanged(room);
+    startTurnTimer(room);
+    rooms.save(room);
   });
 
-  // Handle reconnection
-  socket.on('reconnect-room', (data) => {
-    const { roomId, playerShip } = data;
+  // Ask everyone still seated to play again in the same room
+  socket.on('request-rematch', (data) => {
+    const { roomId } = data;
     const room = rooms.get(roomId);
 
     if (!room) {
-      socket.emit('error', { message: 'Room not found or expired' });
+      socket.emit('error', { message: 'Room not found' });
       return;
     }
 
-    // Find the player by ship (in case they have a new socket ID)
-    const player = room.players.find(p => p.ship === playerShip);
+    if (rejectSpectator(socket, room)) return;
 
+    const player = room.players.find(p => p.id === socket.id);
     if (!player) {
-      socket.emit('error', { message: 'Player not found in this room' });
+      socket.emit('error', { message: 'Player not found' });
       return;
     }
 
-    // Update player's socket ID and mark as connected
-    player.id = socket.id;
-    player.connected = true;
-    player.disconnectedAt = null;
-
-    socket.join(roomId);
-
-    // Send current game state and player list
-    socket.emit('reconnected', {
-      roomId,
-      playerShip,
-      nickname: player.nickname,
-      gameState: room.gameState,
-      players: room.players,
-      currentTurn: room.currentTurn,
-      turnNumber: room.turnNumber
-    });
+    if (room.status !== 'finished') {
+      socket.emit('error', { message: 'A rematch can only be requested after the game is over' });
+      return;
+    }
 
-    // Notify other players
-    socket.to(roomId).emit('player-reconnected', {
-      playerShip,
-      nickname: player.nickname
-    });
+    if (!room.rematch) {
+      room.rematch = { requestedBy: player.ship, accepted: [] };
+      console.log(`Room ${roomId}: ${player.nickname} requested a rematch`);
+    }
 
-    console.log(`Player ${socket.id} reconnected to room: ${roomId} as ${playerShip} ship`);
+    // Requesting while a rematch is pending counts as accepting it
+    voteForRematch(room, player);
+    rooms.save(room);
   });
 
-  // Handle disconnection
-  socket.on('disconnect', () => {
-    console.log(`Player disconnected: ${socket.id}`);
+  // Accept or decline a pending rematch
+  socket.on('respond-rematch', (data) => {
+    const { roomId, accept } = data;
+    const room = rooms.get(roomId);
 
-    // Find and mark player as disconnected (don't remove immediately)
-    for (const [roomId, room] of rooms.entries()) {
-      const player = room.players.find(p => p.id === socket.id);
+    if (!room) {
+      socket.emit('error', { message: 'Room not found' });
+      return;
+    }
 
-      if (player) {
-        player.connected = false;
-        player.disconnectedAt = Date.now();
+    if (rejectSpectator(socket, room)) return;
 
-        // Notify remaining players
-        socket.to(roomId).emit('player-disconnected', {
-          playerShip: player.ship,
-          nickname: player.nickname
-        });
+    const player = room.players.find(p => p.id === socket.id);
+    if (!player) {
+      socket.emit('error', { message: 'Player not found' });
+      return;
+    }
 
-        console.log(`Player ${player.nickname} (${player.ship}) disconnected from room ${roomId}. Grace period: ${DISCONNECTION_GRACE_PERIOD}ms`);
+    if (!room.rematch) {
+      socket.emit('error', { message: 'No rematch has been requested' });
+      return;
+    }
 
-        // Schedule cleanup after grace period
-        setTimeout(() => {
-          const currentRoom = rooms.get(roomId);
-          if (!currentRoom) return;
+    if (!accept) {
+      room.rematch = null;
+      rooms.save(room);
+      console.log(`Room ${roomId}: ${player.nickname} declined the rematch`);
+      io.to(roomId).emit('rematch-declined', {
+        playerShip: player.ship,
+        nickname: player.nickname
+      });
+      return;
+    }
+
+    voteForRematch(room, player);
+    rooms.save(room);
+  });
 
-          const currentPlayer = currentRoom.players.find(p => p.ship === player.ship);
+  // Host only: remove a player from the room straight away
+  socket.on('kick-player', (data) => {
+    const { roomId, playerShip } = data;
+    const room = rooms.get(roomId);
 
-          // Only remove if still disconnected after grace period
-          if (currentPlayer && !currentPlayer.connected) {
-            const playerIndex = currentRoom.players.indexOf(currentPlayer);
-            currentRoom.players.splice(playerIndex, 1);
+    if (!room) {
+      socket.emit('error', { message: 'Room not found' });
+      return;
+    }
 
-            console.log(`Player ${currentPlayer.nickname} removed from room ${roomId} after grace period`);
+    if (rejectNonHost(socket, room)) return;
 
-            // Notify remaining players
-            io.to(roomId).emit('player-left', {
-              playerShip: currentPlayer.ship,
-              nickname: currentPlayer.nickname
-            });
+    const target = room.players.find(p => p.ship === playerShip);
+    if (!target) {
+      socket.emit('error', { message: 'Player not found' });
+      return;
+    }
 
-            // Delete room if empty
-            if (currentRoom.players.length === 0) {
-              rooms.delete(roomId);
-              console.log(`Room deleted: ${roomId}`);
-            }
-          }
-        }, DISCONNECTION_GRACE_PERIOD);
+    if (target.ship === room.hostShip) {
+      socket.emit('error', { message: 'The host cannot kick themselves' });
+      return;
+    }
 
-        break;
-      }
+    const targetSocket = io.sockets.sockets.get(target.id);
+    if (targetSocket) {
+      targetSocket.emit('kicked', {
+        roomId,
+        message: 'The host removed you from the room'
+      });
+      targetSocket.leave(roomId);
     }
+
+    console.log(`Room ${roomId}: ${target.nickname} (${target.ship}) was kicked by the host`);
+    removePlayer(room, target, { kicked: true });
   });
 
-  // Get room info
-  socket.on('get-room-info', (data) => {
-    const { roomId } = data;
+  // Host only: stop (or allow again) new players and spectators from joining
+  socket.on('lock-room', (data) => {
+    const { roomId, locked } = data;
     const room = rooms.get(roomId);
 
     if (!room) {
@@ -320,44 +738,1552 @@ io.on('connection', (socket) => {
       return;
     }
 
-    socket.emit('room-info', {
-      roomId: room.id,
-      players: room.players,
-      gameState: room.gameState,
-      currentTurn: room.currentTurn,
-      turnNumber: room.turnNumber
-    });
-  });
-});
+    if (rejectNonHost(socket, room)) return;
 
-// Serve static files in production
-if (process.env.NODE_ENV === 'production') {
-  app.use(express.static('dist'));
+    room.locked = !!locked;
+    rooms.save(room);
 
-  // Serve specific HTML files
-  app.get('/', (req, res) => {
-    res.sendFile(join(__dirname, 'dist', 'index.html'));
-  });
+    console.log(`Room ${roomId}: ${room.locked ? 'Locked' : 'Unlocked'} by the host`);
+    io.to(roomId).emit('room-locked', { locked: room.locked });
 
-  app.get('/game.html', (req, res) => {
-    res.sendFile(join(__dirname, 'dist', 'game.html'));
+    if (room.isPublic) {
+      broadcastRoomList();
+    }
   });
 
-  app.get('/multiplayer.html', (req, res) => {
-    res.sendFile(join(__dirname, 'dist', 'multiplayer.html'));
-  });
+  // Host only: hand hosting to another seated player
+  socket.on('transfer-host', (data) => {
+    const { roomId, playerShip } = data;
+    const room = rooms.get(roomId);
+
+    if (!room) {
+      socket.emit('error', { message: 'Room not found' });
+      return;
+    }
+
+    if (rejectNonHost(socket, room)) return;
+
+    const target = room.players.find(p => p.ship === playerShip);
+    if (!target) {
+      socket.emit('error', { message: 'Player not found' });
+      return;
+    }
+
+    room.hostShip = target.ship;
+    rooms.save(room);
+
+    console.log(`Room ${roomId}: Host handed to ${target.nickname} (${target.ship})`);
+    emitHostChanged(room);
+  });
+
+  // Chat with everyone in the room (players and spectators); send either `text` or a preset `emote` id
+  socket.on('chat-message', (data) => {
+    const { roomId, text, emote } = data || {};
+    const room = rooms.get(roomId);
+
+    if (!room) {
+      socket.emit('error', { message: 'Room not found' });
+      return;
+    }
+
+    const player = room.players.find(p => p.id === socket.id);
+    const spectator = room.spectators.find(s => s.id === socket.id);
+    if (!player && !spectator) {
+      socket.emit('error', { message: 'You are not in this room' });
+      return;
+    }
+
+    if (isChatRateLimited(socket.id)) {
+      socket.emit('error', {
+        message: 'You are sending messages too quickly',
+        code: 'CHAT_RATE_LIMITED'
+      });
+      return;
+    }
+
+    const preset = emote ? getChatEmote(emote) : null;
+    const body = preset ? preset.text : (typeof text === 'string' ? text.trim() : '');
+
+    if (emote && !preset) {
+      socket.emit('error', { message: 'Unknown emote', code: 'CHAT_INVALID' });
+      return;
+    }
+
+    if (!body || body.length > CHAT_MAX_LENGTH) {
+      socket.emit('error', {
+        message: body ? `Messages can be at most ${CHAT_MAX_LENGTH} characters` : 'Message is empty',
+        code: 'CHAT_INVALID'
+      });
+      return;
+    }
+
+    const sender = player || spectator;
+    const message = {
+      nickname: sender.nickname,
+      ship: player ? player.ship : null,
+      spectator: !player,
+      text: body,
+      emote: preset ? preset.id : null,
+      sentAt: Date.now()
+    };
+
+    // Keep a rolling history so late joiners and reconnecting players can catch up
+    room.chat.push(message);
+    if (room.chat.length > CHAT_HISTORY_LIMIT) {
+      room.chat.splice(0, room.chat.length - CHAT_HISTORY_LIMIT);
+    }
+    rooms.save(room);
+
+    io.to(roomId).emit('chat-message', message);
+  });
+
+  // Watch a room without taking a seat
+  socket.on('spectate-room', async (data) => {
+    const { roomId, nickname, password } = data;
+    const room = rooms.get(roomId);
+
+    if (!room) {
+      socket.emit('error', { message: 'Room not found' });
+      return;
+    }
+
+    if (room.players.some(p => p.id === socket.id)) {
+      socket.emit('error', { message: 'You are already playing in this room' });
+      return;
+    }
+
+    // Spectators already watching keep their place (e.g. asking again after a refresh of the list)
+    const isWatching = room.spectators.some(s => s.id === socket.id);
+    if (!isWatching && rejectLockedRoom(socket, room)) return;
+    if (!isWatching && await rejectWrongPassword(socket, room, password)) return;
+
+    const spectatorNickname = nickname || 'Spectator';
+
+    if (!room.spectators.some(s => s.id === socket.id)) {
+      room.spectators.push({
+        id: socket.id,
+        nickname: spectatorNickname
+      });
+      rooms.save(room);
+    }
+
+    leaveLobby(socket);
+    socket.join(roomId);
+
+    // Send the spectator everything needed to render the game as it stands
+    socket.emit('spectate-joined', {
+      ...serializeRoom(room),
+      nickname: spectatorNickname
+    });
+
+    socket.to(roomId).emit('spectators-updated', {
+      spectators: serializeSpectators(room)
+    });
+
+    console.log(`Spectator ${socket.id} (${spectatorNickname}) is watching room: ${roomId}`);
+  });
+
+  // Handle reconnection
+  socket.on('reconnect-room', (data) => {
+    const { roomId, playerShip, token } = data;
+    const room = rooms.get(roomId);
+
+    if (!room) {
+      socket.emit('error', { message: 'Room not found or expired' });
+      return;
+    }
+
+    // Find the player by ship (in case they have a new socket ID)
+    const player = room.players.find(p => p.ship === playerShip);
+
+    if (!player) {
+      socket.emit('error', { message: 'Player not found in this room' });
+      return;
+    }
+
+    // The seat can only be reclaimed with the secret token issued when it was taken
+    if (!isValidReconnectToken(player.token, token)) {
+      socket.emit('error', {
+        message: 'Invalid reconnection token',
+        code: 'INVALID_RECONNECT_TOKEN'
+      });
+      console.log(`Rejected reconnection to room ${roomId} as ${playerShip} ship: invalid token`);
+      return;
+    }
+
+    // Update player's socket ID and mark as connected
+    player.id = socket.id;
+    player.connected = true;
+    player.disconnectedAt = null;
+    rooms.save(room);
+
+    leaveLobby(socket);
+    socket.join(roomId);
+
+    // Send current game state and player list
+    socket.emit('reconnected', {
+      ...serializeRoom(room),
+      playerShip,
+      nickname: player.nickname,
+      logKey: room.logKey
+    });
+
+    // Notify other players
+    socket.to(roomId).emit('player-reconnected', {
+      playerShip,
+      nickname: player.nickname
+    });
+
+    console.log(`Player ${socket.id} reconnected to room: ${roomId} as ${playerShip} ship`);
+  });
+
+  // Handle disconnection
+  socket.on('disconnect', () => {
+    console.log(`Player disconnected: ${socket.id}`);
+    chatRateLimits.delete(socket.id);
+
+    if (removeFromMatchQueue(socket.id)) {
+      emitMatchQueueStatus();
+    }
+
+    // Find and mark player as disconnected (don't remove immediately)
+    for (const [roomId, room] of rooms.entries()) {
+      // Spectators hold no seat, so they are removed straight away
+      const spectatorIndex = room.spectators.findIndex(s => s.id === socket.id);
+      if (spectatorIndex !== -1) {
+        room.spectators.splice(spectatorIndex, 1);
+        rooms.save(room);
+        io.to(roomId).emit('spectators-updated', {
+          spectators: serializeSpectators(room)
+        });
+        console.log(`Spectator ${socket.id} stopped watching room ${roomId}`);
+        continue;
+      }
+
+      const player = room.players.find(p => p.id === socket.id);
+
+      if (player) {
+        player.connected = false;
+        player.disconnectedAt = Date.now();
+        rooms.save(room);
+
+        // Notify remaining players
+        socket.to(roomId).emit('player-disconnected', {
+          playerShip: player.ship,
+          nickname: player.nickname
+        });
+
+        console.log(`Player ${player.nickname} (${player.ship}) disconnected from room ${roomId}. Grace period: ${DISCONNECTION_GRACE_PERIOD}ms`);
+
+        // Schedule cleanup after grace period
+        schedulePlayerRemoval(roomId, player.ship);
+
+        break;
+      }
+    }
+  });
+
+  // Browse public rooms with free seats; the socket keeps getting `room-list` updates until it joins a room
+  socket.on('list-rooms', () => {
+    socket.join(LOBBY_CHANNEL);
+    socket.emit('room-list', { rooms: getPublicRooms() });
+  });
+
+  // Get room info
+  socket.on('get-room-info', (data) => {
+    const { roomId } = data;
+    const room = rooms.get(roomId);
+
+    if (!room) {
+      socket.emit('error', { message: 'Room not found' });
+      return;
+    }
+
+    // Outsiders only get a summary of a password-protected room; its board and chat stay behind the password
+    const isMember = room.players.some(p => p.id === socket.id) || room.spectators.some(s => s.id === socket.id);
+    socket.emit('room-info', room.passwordHash && !isMember ? summarizeRoom(room) : serializeRoom(room));
+  });
+});
+
+// The HTTP API answers the same origins as socket.io (the replay page fetches logs from the Vite dev server)
+app.use('/api', (req, res, next) => {
+  const allowedOrigins = [].concat(corsOptions.origin);
+  const origin = req.get('Origin');
+
+  if (allowedOrigins.includes('*')) {
+    res.set('Access-Control-Allow-Origin', '*');
+  } else if (origin && allowedOrigins.includes(origin)) {
+    res.set('Access-Control-Allow-Origin', origin);
+    res.set('Access-Control-Allow-Credentials', String(corsOptions.credentials));
+    res.vary('Origin');
+  }
+
+  if (req.method === 'OPTIONS') {
+    res.set('Access-Control-Allow-Methods', corsOptions.methods.join(','));
+    res.sendStatus(204);
+    return;
+  }
+
+  next();
+});
+
+// Public rooms with free seats, for lobby pages and other tools
+app.get('/api/rooms', (req, res) => {
+  res.json({ rooms: getPublicRooms() });
+});
+
+// Download a finished game's action log as JSON, for the replay viewer
+app.get('/api/rooms/:roomId/log', async (req, res) => {
+  const room = rooms.get(req.params.roomId);
+
+  if (!room) {
+    res.status(404).json({ error: 'Room not found' });
+    return;
+  }
+
+  if (room.status !== 'finished') {
+    res.status(409).json({ error: 'The log can be downloaded once the game is over' });
+    return;
+  }
+
+  // A protected room's log is for its players (?key=, never their reconnect token) and whoever knows the password (?password=)
+  const { key, password } = req.query;
+  const limitKey = `ip:${req.ip}`;
+  if (room.passwordHash && isPasswordRateLimited(limitKey)) {
+    res.status(429).json({ error: 'Too many wrong passwords - try again in a minute', code: 'PASSWORD_RATE_LIMITED' });
+    return;
+  }
+  if (room.passwordHash && !(await hasLogAccess(room, key, password))) {
+    if (key || password) {
+      recordPasswordFailure(limitKey);
+    }
+    res.status(key || password ? 403 : 401).json(key || password
+      ? { error: 'Incorrect room password', code: 'INVALID_PASSWORD' }
+      : { error: 'This room needs a password', code: 'PASSWORD_REQUIRED' });
+    return;
+  }
+
+  res.attachment(`space-scrap-${room.id}.json`);
+  res.json({
+    roomId: room.id,
+    maxPlayers: room.maxPlayers,
+    rules: room.rules,
+    timeControl: room.timeControl,
+    startedAt: room.startedAt,
+    result: room.result,
+    actions: room.actionLog
+  });
+});
+
+// Serve static files in production
+if (process.env.NODE_ENV === 'production') {
+  app.use(express.static('dist'));
+
+  // Serve specific HTML files
+  app.get('/', (req, res) => {
+    res.sendFile(join(__dirname, 'dist', 'index.html'));
+  });
+
+  app.get('/game.html', (req, res) => {
+    res.sendFile(join(__dirname, 'dist', 'game.html'));
+  });
+
+  app.get('/multiplayer.html', (req, res) => {
+    res.sendFile(join(__dirname, 'dist', 'multiplayer.html'));
+  });
+
+  app.get('/replay.html', (req, res) => {
+    res.sendFile(join(__dirname, 'dist', 'replay.html'));
+  });
 
   app.get('/test-connection.html', (req, res) => {
     res.sendFile(join(__dirname, 'dist', 'test-connection.html'));
   });
 }
 
+// Resume games saved before a restart so players can reconnect to them
+restoreRooms();
+
 httpServer.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Socket.IO server ready for multiplayer connections`);
 });
 
+// Helper function to give a disconnected player the grace period to reconnect before freeing their seat
+function schedulePlayerRemoval(roomId, ship) {
+  setTimeout(() => removeDisconnectedPlayer(roomId, ship), DISCONNECTION_GRACE_PERIOD);
+}
+
+// Helper function to free a seat whose player never came back
+function removeDisconnectedPlayer(roomId, ship) {
+  const currentRoom = rooms.get(roomId);
+  if (!currentRoom) return;
+
+  const currentPlayer = currentRoom.players.find(p => p.ship === ship);
+
+  // Only remove if still disconnected after grace period
+  if (currentPlayer && !currentPlayer.connected) {
+    console.log(`Player ${currentPlayer.nickname} removed from room ${roomId} after grace period`);
+    removePlayer(currentRoom, currentPlayer);
+  }
+}
+
+// Helper function to take a player out of a room for good (gone after the grace period, or kicked)
+function removePlayer(currentRoom, currentPlayer, { kicked = false } = {}) {
+  const roomId = currentRoom.id;
+
+  const playerIndex = currentRoom.players.indexOf(currentPlayer);
+  currentRoom.players.splice(playerIndex, 1);
+  delete currentRoom.gameState.ships[currentPlayer.ship];
+  delete currentRoom.gameState.scores[currentPlayer.ship];
+  delete currentRoom.gameState.stats[currentPlayer.ship];
+  delete currentRoom.clocks[currentPlayer.ship];
+  shipStreams.delete(`${roomId}:${currentPlayer.ship}`);
+
+  // Leaving after the game is over doesn't change how it played out
+  if (currentRoom.status !== 'finished') {
+    logAction(currentRoom, ACTION_TYPES.LEAVE, { ship: currentPlayer.ship, nickname: currentPlayer.nickname, kicked });
+  }
+
+  // A kick never decides a game: the one in progress is called off instead of handing out a win
+  const voided = kicked && currentRoom.status === 'playing';
+
+  // A game in progress may be decided by the departure (e.g. last ship standing)
+  const result = currentRoom.status === 'playing' && !voided ? evaluateRoom(currentRoom) : null;
+  if (result) {
+    finishGame(currentRoom, result);
+  } else if (currentRoom.status !== 'finished' && currentRoom.players.length < MIN_PLAYERS) {
+    // Too few players left to keep playing
+    currentRoom.status = 'waiting';
+    stopTurnTimer(currentRoom);
+  }
+
+  // Notify remaining players
+  io.to(roomId).emit('player-left', {
+    playerShip: currentPlayer.ship,
+    nickname: currentPlayer.nickname,
+    status: currentRoom.status,
+    turnOrder: getTurnOrder(currentRoom),
+    kicked
+  });
+
+  // The lowest remaining seat takes over from a departed host
+  if (currentRoom.hostShip === currentPlayer.ship && currentRoom.players.length > 0) {
+    currentRoom.hostShip = getLowestSeatPlayer(currentRoom).ship;
+    emitHostChanged(currentRoom);
+  }
+
+  // Skip the departed player's turn (a called-off game is reset below instead)
+  if (!voided && currentRoom.status !== 'finished' && currentRoom.players.length > 0 &&
+      currentRoom.currentTurn === currentPlayer.ship) {
+    advanceTurn(currentRoom, currentPlayer.seat);
+    emitTurnChanged(currentRoom);
+    startTurnTimer(currentRoom);
+  }
+
+  // A pending rematch no longer waits on the departed player
+  if (currentRoom.rematch && currentRoom.players.length > 0) {
+    currentRoom.rematch.accepted = currentRoom.rematch.accepted.filter(accepted => accepted !== currentPlayer.ship);
+
+    if (currentRoom.rematch.accepted.length > 0) {
+      checkRematch(currentRoom);
+    } else {
+      // Nobody left who wanted it - call the rematch off
+      currentRoom.rematch = null;
+      io.to(roomId).emit('rematch-declined', {
+        playerShip: currentPlayer.ship,
+        nickname: currentPlayer.nickname
+      });
+    }
+  }
+
+  // Start over on a fresh board, like a rematch; the free seat keeps the room waiting for a new player
+  if (voided) {
+    console.log(`Room ${roomId}: Game called off after ${currentPlayer.nickname} was kicked`);
+    startRematch(currentRoom);
+  }
+
+  // Delete room if empty
+  if (currentRoom.players.length === 0) {
+    stopTurnTimer(currentRoom);
+    rooms.delete(roomId);
+    console.log(`Room deleted: ${roomId}`);
+  } else {
+    rooms.save(currentRoom);
+  }
+
+  if (currentRoom.isPublic) {
+    broadcastRoomList();
+  }
+}
+
+// Helper function to resume rooms saved before a restart; every seat gets the grace period to reconnect
+function restoreRooms() {
+  const now = Date.now();
+
+  rooms.load().forEach(room => {
+    // Rooms saved before time controls existed play without a clock
+    room.timeControl = room.timeControl || normalizeTimeControl();
+    room.clocks = room.clocks || {};
+    room.chat = room.chat || [];
+    room.actionLog = room.actionLog || [];
+    room.isPublic = !!room.isPublic;
+    room.passwordHash = room.passwordHash || null;
+    room.logKey = room.logKey || (room.passwordHash ? generateLogKey() : null); // Rooms saved before log keys existed
+    room.locked = !!room.locked;
+
+    // Rooms saved before black holes existed get theirs now
+    if (!Number.isInteger(room.seed)) {
+      room.seed = createSeed();
+    }
+    room.gameState.blackHoles = room.gameState.blackHoles || generateRoomBlackHoles(room);
+    room.gameState.scrap = room.gameState.scrap || placeStartingScrap(room);
+    room.gameState.scores = room.gameState.scores || {};
+    room.gameState.shields = room.gameState.shields || {};
+    room.gameState.skips = room.gameState.skips || {};
+
+    // Rooms saved before hull points existed start every ship at full strength
+    room.gameState.stats = room.gameState.stats || {};
+    Object.keys(room.gameState.ships).forEach(ship => {
+      room.gameState.stats[ship] = room.gameState.stats[ship] || createShipStats();
+    });
+    delete room.gameState.damage;
+
+    room.deck = room.deck || createDeck(EVENT_CARDS, getDeckSeed(room.seed, 0));
+    room.rules.drawOn = room.rules.drawOn || { ...EVENT_CARDS.drawOn };
+
+    // Rooms saved before hosts existed are hosted by the lowest seat
+    if (!room.hostShip && room.players.length > 0) {
+      room.hostShip = getLowestSeatPlayer(room).ship;
+    }
+    room.createdAt = room.createdAt || now;
+
+    // Sockets don't survive a restart
+    room.spectators = [];
+    room.players.forEach(player => {
+      player.connected = false;
+      player.disconnectedAt = now;
+      schedulePlayerRemoval(room.id, player.ship);
+    });
+
+    // The current turn starts over; time spent on it before the restart isn't charged
+    if (room.status === 'playing') {
+      startTurnTimer(room);
+    }
+
+    rooms.save(room);
+    console.log(`Room restored: ${room.id} (${room.players.length} player(s), ${room.status})`);
+  });
+}
+
 // Helper function to generate room IDs
 function generateRoomId() {
   return Math.random().toString(36).substring(2, 8).toUpperCase();
 }
+
+// Helper function to roll a single six-sided die
+function rollDie() {
+  return Math.floor(Math.random() * 6) + 1;
+}
+
+// Helper function to build an empty room; the first player seated takes the first turn
+function createRoom({ maxPlayers, isPublic = false, timeControl = null, passwordHash = null }) {
+  const room = {
+    id: generateRoomId(),
+    maxPlayers: clampPlayerCount(maxPlayers),
+    isPublic,
+    passwordHash,
+    logKey: passwordHash ? generateLogKey() : null,
+    hostShip: null,
+    locked: false,
+    createdAt: Date.now(),
+    status: 'waiting',
+    players: [],
+    spectators: [],
+    seed: createSeed(),
+    deck: null,
+    gameState: { ships: {}, blackHoles: [], scrap: [], scores: {}, stats: {}, shields: {}, skips: {} },
+    currentTurn: null,
+    turnNumber: 1,
+    diceRoll: null,
+    turnStartCell: null,
+    turnMoves: null,
+    rules: { ...DEFAULT_WIN_RULES, drawOn: { ...EVENT_CARDS.drawOn } },
+    startedAt: null,
+    result: null,
+    firstSeat: 0,
+    rematch: null,
+    timeControl: normalizeTimeControl(timeControl),
+    clocks: {},
+    turnStartedAt: null,
+    turnDeadline: null,
+    chat: [],
+    actionLog: []
+  };
+
+  room.gameState.blackHoles = generateRoomBlackHoles(room);
+  room.gameState.scrap = placeStartingScrap(room);
+  room.deck = createDeck(EVENT_CARDS, getDeckSeed(room.seed, 0));
+  return room;
+}
+
+// Helper function to place a game's black holes from the room's seed, clear of every seat's home and the goal
+function generateRoomBlackHoles(room) {
+  const reserved = [...SEAT_START_STATES.map(start => start.cell), room.rules.goalCell];
+  return generateBlackHoles(boardGrid, room.seed, reserved);
+}
+
+// Helper function to seat a new player in the lowest free seat with their preferred fleet colour
+function seatPlayer(room, socketId, nickname, requestedColor) {
+  let seat = 0;
+  while (room.players.some(p => p.seat === seat)) {
+    seat += 1;
+  }
+
+  const takenColors = room.players.map(p => p.ship);
+  const preferred = getFleetColor(requestedColor);
+  const color = preferred && !takenColors.includes(preferred.id)
+    ? preferred
+    : FLEET_COLORS.find(c => !takenColors.includes(c.id));
+
+  const player = {
+    id: socketId,
+    ship: color.id,
+    seat,
+    color: color.hex,
+    nickname,
+    token: generateReconnectToken(),
+    connected: true,
+    disconnectedAt: null
+  };
+
+  room.players.push(player);
+  room.gameState.ships[player.ship] = getSeatStartState(seat);
+  room.gameState.scores[player.ship] = 0;
+  room.gameState.stats[player.ship] = createShipStats();
+  logAction(room, ACTION_TYPES.JOIN, {
+    ship: player.ship,
+    nickname,
+    seat,
+    color: player.color,
+    state: getShipState(room, player.ship)
+  });
+
+  if (!room.currentTurn) {
+    room.currentTurn = player.ship;
+    room.turnStartCell = { ...getShipState(room, player.ship).cell };
+  }
+
+  // Whoever creates the room hosts it
+  if (!room.hostShip) {
+    room.hostShip = player.ship;
+  }
+
+  if (room.timeControl.type === TIME_CONTROL_TYPES.BANK) {
+    room.clocks[player.ship] = room.timeControl.seconds * 1000;
+  }
+
+  // The game starts once every seat is filled
+  if (room.players.length >= room.maxPlayers) {
+    room.status = 'playing';
+    room.startedAt = room.startedAt || Date.now();
+    logGameStart(room);
+  }
+
+  return player;
+}
+
+// Helper function to get a ship's last accepted state
+function getShipState(room, ship) {
+  return room.gameState.ships[ship];
+}
+
+// Helper function to get a ship's drag update stream, starting an empty one if needed
+function getShipStream(roomId, ship) {
+  const key = `${roomId}:${ship}`;
+  if (!shipStreams.has(key)) {
+    shipStreams.set(key, { seq: null, transform: null, relayed: null, commit: null });
+  }
+
+  return shipStreams.get(key);
+}
+
+// Helper function to check a ship's new (quantised) transform against the board and this turn's dice roll
+// Returns { state } for a legal move, or { error } with the reason it isn't
+function checkShipMove(room, ship, transform, facing) {
+  // Ship state is tracked in board cells; the raw transform is only relayed for smooth previews
+  const cell = boardGrid.worldToCell(dequantizeTransform(transform).position);
+
+  // Ships may only travel as many cells as were rolled this turn
+  const budget = room.diceRoll && room.diceRoll.turnNumber === room.turnNumber
+    ? getRollBudget(room.diceRoll)
+    : 0;
+
+  if (!cell) {
+    return { error: 'Ships must stay on the board' };
+  }
+  if (room.turnMoves && room.turnMoves.turnNumber === room.turnNumber && room.turnMoves.teleported) {
+    return { error: 'Your ship came out of a black hole and can\'t move again this turn' };
+  }
+  if (!isWithinMoveBudget(boardGrid, room.turnStartCell, cell, budget)) {
+    return { error: budget === 0 ? 'Roll the dice before moving' : `You can only move ${budget} cells this turn` };
+  }
+  if (Object.entries(room.gameState.ships).some(([other, state]) => (
+    other !== ship && !state.destroyed && boardGrid.isSameCell(state.cell, cell)
+  ))) {
+    return { error: 'Another ship is already on that cell' };
+  }
+
+  return {
+    state: {
+      cell,
+      facing: BoardGrid.isValidFacing(facing) ? facing : getShipState(room, ship).facing
+    }
+  };
+}
+
+// Helper function to get where the current ship has been this turn, oldest first; a new turn starts from its state before the first update
+function getTurnMoves(room) {
+  if (!room.turnMoves || room.turnMoves.turnNumber !== room.turnNumber) {
+    const { cell, facing } = getShipState(room, room.currentTurn);
+    room.turnMoves = { turnNumber: room.turnNumber, states: [{ cell: { ...cell }, facing }] };
+  }
+
+  return room.turnMoves.states;
+}
+
+// Helper function to put a ship back where its last committed move left it before its turn ends
+// Drag updates are only previews; a ship dragged somewhere and never let go hasn't moved there
+function settleShip(room, ship) {
+  const turnMoves = getTurnMoves(room);
+  const committed = turnMoves[turnMoves.length - 1];
+  const current = getShipState(room, ship);
+  if (isSameShipState(current, committed)) return;
+
+  const state = { ...current, cell: { ...committed.cell }, facing: committed.facing };
+  room.gameState.ships[ship] = state;
+
+  console.log(`Room ${room.id}: ${ship} ended its turn mid-drag, back to ${state.cell.col},${state.cell.row}`);
+  io.to(room.id).emit('ship-updated', { ship, state, committed: true });
+
+  const player = room.players.find(p => p.ship === ship);
+  if (player) {
+    io.to(player.id).emit('move-rejected', { ship, state, message: 'Let go of your ship to finish a move' });
+  }
+}
+
+// Helper function to throw a ship that ended its move on a black hole out onto another cell
+// The ship can't move again this turn or be undone back into the hole (unless a shield holds it); returns the teleport to broadcast
+function teleportShip(room, ship, blackHole) {
+  // A shield card holds the ship where it is, once
+  if (room.gameState.shields[ship]) {
+    delete room.gameState.shields[ship];
+    const state = getShipState(room, ship);
+    logAction(room, ACTION_TYPES.TELEPORT, { ship, blackHole: blackHole.id, from: state, state, shielded: true });
+
+    console.log(`Room ${room.id}: ${ship}'s shield held it out of ${blackHole.id}`);
+    return { ship, blackHole: blackHole.id, from: state, state, shielded: true };
+  }
+
+  const blocked = [
+    room.rules.goalCell, // Black holes are no shortcut to winning
+    ...Object.entries(room.gameState.ships)
+      .filter(([shipId]) => shipId !== ship)
+      .map(([, state]) => state.cell)
+  ];
+  const seed = getTeleportSeed(room.seed, room.turnNumber);
+  const cell = pickTeleportDestination(boardGrid, seed, room.gameState.blackHoles, blocked);
+  if (!cell) return null;
+
+  const from = getShipState(room, ship);
+  const state = { cell, facing: from.facing };
+  room.gameState.ships[ship] = state;
+  room.turnMoves = { turnNumber: room.turnNumber, states: [{ ...state, cell: { ...cell } }], teleported: true };
+  logAction(room, ACTION_TYPES.TELEPORT, { ship, blackHole: blackHole.id, from, state });
+
+  console.log(`Room ${room.id}: ${ship} fell into ${blackHole.id} at ${from.cell.col},${from.cell.row} and came out at ${cell.col},${cell.row}`);
+  return { ship, blackHole: blackHole.id, from, state };
+}
+
+// Helper function to draw an event card for the player who just rolled and play it through the rules engine
+function playEventCard(room, ship) {
+  const { card, deck } = drawCard(EVENT_CARDS, room.deck, room.seed);
+  room.deck = deck;
+
+  const { state, outcome } = applyCardEffect(boardGrid, room.gameState, card, {
+    ship,
+    turnOrder: getTurnOrder(room),
+    seed: getCardEffectSeed(room.seed, room.turnNumber),
+    reserved: [...SEAT_START_STATES.map(start => start.cell), room.rules.goalCell]
+  });
+  Object.assign(room.gameState, state);
+
+  if (outcome.cells) {
+    room.diceRoll.bonus = (room.diceRoll.bonus || 0) + outcome.cells;
+  }
+
+  // A ship moved by the card starts the rest of its turn from where it landed
+  if (outcome.ships && outcome.ships[ship]) {
+    const landed = outcome.ships[ship];
+    room.turnStartCell = { ...landed.cell };
+    room.turnMoves = { turnNumber: room.turnNumber, states: [{ cell: { ...landed.cell }, facing: landed.facing }] };
+  }
+
+  logAction(room, ACTION_TYPES.CARD, { ship, card: card.id, name: card.name, outcome });
+  console.log(`Room ${room.id}: ${ship} drew ${card.id}`, outcome);
+
+  const { id, name, description, effect } = card;
+  io.to(room.id).emit('card-drawn', {
+    ship,
+    card: { id, name, description, effect },
+    outcome,
+    gameState: room.gameState,
+    diceRoll: room.diceRoll,
+    turnStartCell: room.turnStartCell
+  });
+
+  if (outcome.target && outcome.amount) {
+    damageShip(room, outcome.target, outcome.amount, DAMAGE_CAUSES.CARD);
+  }
+}
+
+// Helper function to list cells new scrap can't drop on: ship homes and where ships are, the goal, black holes and other scrap
+function getScrapBlockedCells(room) {
+  return [
+    ...SEAT_START_STATES.map(start => start.cell),
+    ...Object.values(room.gameState.ships).map(state => state.cell),
+    room.rules.goalCell,
+    ...room.gameState.blackHoles.map(blackHole => blackHole.cell),
+    ...(room.gameState.scrap || []).map(token => token.cell)
+  ];
+}
+
+// Helper function to place the scrap a game starts with (drops are seeded by turn; the start counts as turn 0)
+function placeStartingScrap(room) {
+  return placeScrap(boardGrid, getScrapSeed(room.seed, 0), SCRAP_START_COUNT, getScrapBlockedCells(room), 'scrap-0');
+}
+
+// Helper function to drop new scrap on the board every few turns, up to the limit
+function dropScrap(room) {
+  if (!isScrapRespawnTurn(room.turnNumber)) return;
+
+  const count = Math.min(SCRAP_RESPAWN_COUNT, SCRAP_MAX_ON_BOARD - room.gameState.scrap.length);
+  if (count <= 0) return;
+
+  const seed = getScrapSeed(room.seed, room.turnNumber);
+  const dropped = placeScrap(boardGrid, seed, count, getScrapBlockedCells(room), `scrap-${room.turnNumber}`);
+  room.gameState.scrap.push(...dropped);
+  logAction(room, ACTION_TYPES.SCRAP_DROP, { scrap: dropped });
+
+  console.log(`Room ${room.id}: ${dropped.length} scrap dropped on turn ${room.turnNumber}`);
+}
+
+// Helper function to ram the opponent a ship ended its turn facing: it's pushed back, or damaged if it can't be
+function ramShip(room, ship) {
+  const target = findRamTarget(boardGrid, room.gameState.ships, ship);
+  if (!target) return;
+
+  // Rams can't push a ship into a black hole or onto the goal
+  const blocked = [room.rules.goalCell, ...room.gameState.blackHoles.map(blackHole => blackHole.cell)];
+  const ram = resolveRam(boardGrid, room.gameState.ships, ship, target, blocked);
+
+  room.gameState.ships[target] = { ...getShipState(room, target), cell: ram.to };
+
+  const rammed = { ship, target, ...ram };
+  logAction(room, ACTION_TYPES.RAM, rammed);
+
+  console.log(`Room ${room.id}: ${ship} rammed ${target}`, ram.pushed ? `pushing it ${ram.pushed} cell(s)` : `for ${ram.damage} damage`);
+  io.to(room.id).emit('ship-rammed', rammed);
+
+  damageShip(room, target, ram.damage, DAMAGE_CAUSES.RAM);
+}
+
+// Helper function to deal damage to a ship (shields soak it up first) and tell everyone; returns true if the ship was destroyed
+function damageShip(room, ship, amount, cause) {
+  const current = room.gameState.stats[ship];
+  if (!current || amount <= 0 || !isShipActive(getShipState(room, ship))) return false;
+
+  const { stats, absorbed, hullDamage, destroyed } = applyDamage(current, amount);
+  room.gameState.stats[ship] = stats;
+  if (destroyed) {
+    room.gameState.ships[ship] = { ...getShipState(room, ship), destroyed: true };
+  }
+
+  const damage = { ship, amount, cause, absorbed, hullDamage, stats, destroyed };
+  logAction(room, ACTION_TYPES.DAMAGE, damage);
+
+  console.log(`Room ${room.id}: ${ship} took ${amount} damage from ${cause} (hull ${stats.hull}/${stats.maxHull}, shields ${stats.shields}/${stats.maxShields})${destroyed ? ' and was destroyed' : ''}`);
+  io.to(room.id).emit('ship-damaged', { ...damage, turnOrder: getTurnOrder(room) });
+  return destroyed;
+}
+
+// Helper function to move on from a ship destroyed during its own turn (or end the game if only one ship is left)
+function endDestroyedTurn(room, ship) {
+  const result = evaluateRoom(room);
+  if (result) {
+    finishGame(room, result);
+    return;
+  }
+
+  const player = room.players.find(p => p.ship === ship);
+  advanceTurn(room, player.seat);
+
+  console.log(`Room ${room.id}: Turn changed to ${room.currentTurn} (Turn #${room.turnNumber}) after ${ship} was destroyed`);
+  emitTurnChanged(room);
+  startTurnTimer(room);
+}
+
+// Helper function to pick up the scrap under a ship whose turn just ended and tell everyone the new score
+function collectScrap(room, ship) {
+  const state = getShipState(room, ship);
+  const token = isShipActive(state) && findScrap(room.gameState.scrap, state.cell);
+  if (!token) return;
+
+  room.gameState.scrap = room.gameState.scrap.filter(other => other.id !== token.id);
+  room.gameState.scores[ship] = (room.gameState.scores[ship] || 0) + token.value;
+  const collected = { ship, scrap: token.id, value: token.value, score: room.gameState.scores[ship] };
+  logAction(room, ACTION_TYPES.COLLECT, collected);
+
+  console.log(`Room ${room.id}: ${ship} collected ${token.id} (score ${collected.score})`);
+  io.to(room.id).emit('scrap-collected', collected);
+}
+
+// Helper function to compare two ship states by cell and facing
+function isSameShipState(a, b) {
+  return !!a && !!b && !!a.cell && !!b.cell &&
+    a.cell.col === b.cell.col && a.cell.row === b.cell.row && a.facing === b.facing;
+}
+
+// Helper function to list seat ids in the order turns rotate (forfeited ships no longer take turns)
+function getTurnOrder(room) {
+  return getSeatedInTurnOrder(room).map(p => p.ship);
+}
+
+// Helper function to list the players still taking turns, sorted by seat
+function getSeatedInTurnOrder(room) {
+  const seated = room.players.slice().sort((a, b) => a.seat - b.seat);
+  const active = seated.filter(p => isShipActive(getShipState(room, p.ship)));
+  return active.length > 0 ? active : seated;
+}
+
+// Helper function to pass the turn to the next occupied seat after `fromSeat`
+function advanceTurn(room, fromSeat) {
+  chargeTurnTime(room);
+
+  const seated = getSeatedInTurnOrder(room);
+  let next = seated.find(p => p.seat > fromSeat) || seated[0];
+
+  // Ships hit by a skip card sit this turn out (each skip is used up, so this ends)
+  while (room.gameState.skips[next.ship]) {
+    delete room.gameState.skips[next.ship];
+    logAction(room, ACTION_TYPES.SKIP, { ship: next.ship });
+    console.log(`Room ${room.id}: ${next.ship} skips a turn`);
+    next = seated.find(p => p.seat > next.seat) || seated[0];
+  }
+
+  room.currentTurn = next.ship;
+  room.turnNumber += 1;
+  room.turnStartCell = { ...getShipState(room, room.currentTurn).cell };
+  dropScrap(room);
+}
+
+// Helper function to tell everyone in a room whose turn it is (`timedOut` when the clock ended the last turn)
+function emitTurnChanged(room, timedOut = false) {
+  logAction(room, ACTION_TYPES.TURN, { ship: room.currentTurn, turnStartCell: room.turnStartCell });
+
+  io.to(room.id).emit('turn-changed', {
+    currentTurn: room.currentTurn,
+    turnNumber: room.turnNumber,
+    turnStartCell: room.turnStartCell,
+    scores: room.gameState.scores,
+    scrap: room.gameState.scrap,
+    timedOut
+  });
+}
+
+// Helper function to start the clock for whoever's turn it is now and tell everyone how long they have
+function startTurnTimer(room) {
+  stopTurnTimer(room);
+
+  const { type, seconds } = room.timeControl;
+  if (room.status !== 'playing' || type === TIME_CONTROL_TYPES.NONE) return;
+
+  const now = Date.now();
+  const allowedMs = type === TIME_CONTROL_TYPES.BANK
+    ? room.clocks[room.currentTurn] ?? seconds * 1000
+    : seconds * 1000;
+
+  room.turnStartedAt = now;
+  room.turnDeadline = now + allowedMs;
+  turnTimers.set(room.id, setTimeout(() => handleTurnTimeout(room.id), allowedMs));
+
+  io.to(room.id).emit('turn-timer', getTurnTimer(room));
+}
+
+// Helper function to stop a room's clock without charging anyone
+function stopTurnTimer(room) {
+  clearTimeout(turnTimers.get(room.id));
+  turnTimers.delete(room.id);
+  room.turnStartedAt = null;
+  room.turnDeadline = null;
+}
+
+// Helper function to take the time spent on the current turn out of the player's bank
+function chargeTurnTime(room) {
+  const ship = room.currentTurn;
+  if (room.timeControl.type !== TIME_CONTROL_TYPES.BANK || !room.turnStartedAt || !(ship in room.clocks)) return;
+
+  room.clocks[ship] = Math.max(0, room.clocks[ship] - (Date.now() - room.turnStartedAt));
+  room.turnStartedAt = null;
+}
+
+// Helper function to describe the running clock for clients; remaining times are relative so clock skew doesn't matter
+function getTurnTimer(room) {
+  if (!room.turnDeadline) return null;
+
+  const remainingMs = Math.max(0, room.turnDeadline - Date.now());
+  const clocks = { ...room.clocks };
+  if (room.timeControl.type === TIME_CONTROL_TYPES.BANK) {
+    clocks[room.currentTurn] = remainingMs;
+  }
+
+  return {
+    type: room.timeControl.type,
+    currentTurn: room.currentTurn,
+    turnNumber: room.turnNumber,
+    remainingMs,
+    clocks
+  };
+}
+
+// Helper function to end a turn that ran out of time; an empty bank forfeits the game
+function handleTurnTimeout(roomId) {
+  turnTimers.delete(roomId);
+
+  const room = rooms.get(roomId);
+  if (!room || room.status !== 'playing') return;
+
+  const player = room.players.find(p => p.ship === room.currentTurn);
+  if (!player) return;
+
+  settleShip(room, player.ship);
+
+  if (room.timeControl.type === TIME_CONTROL_TYPES.BANK) {
+    room.clocks[player.ship] = 0;
+    room.gameState.ships[player.ship].forfeited = true;
+    logAction(room, ACTION_TYPES.FORFEIT, { ship: player.ship });
+
+    console.log(`Room ${roomId}: ${player.nickname} (${player.ship}) ran out of time and forfeits`);
+    io.to(roomId).emit('player-forfeited', {
+      playerShip: player.ship,
+      nickname: player.nickname,
+      turnOrder: getTurnOrder(room)
+    });
+  } else {
+    console.log(`Room ${roomId}: ${player.nickname} (${player.ship}) ran out of time, ending their turn`);
+  }
+
+  logAction(room, ACTION_TYPES.END_TURN, { ship: player.ship, state: getShipState(room, player.ship), timedOut: true });
+  ramShip(room, player.ship);
+  collectScrap(room, player.ship);
+
+  // Same as ending the turn by hand: the move already made may have decided the game
+  const result = evaluateRoom(room);
+  if (result) {
+    finishGame(room, result);
+    rooms.save(room);
+    return;
+  }
+
+  advanceTurn(room, player.seat);
+  emitTurnChanged(room, true);
+  startTurnTimer(room);
+  rooms.save(room);
+}
+
+// Helper function to generate a secret per-seat token used to reclaim a seat after disconnecting
+function generateReconnectToken() {
+  return randomBytes(24).toString('hex');
+}
+
+// Helper function to generate a protected room's log key, which unlike a reconnect token can't reclaim a seat
+function generateLogKey() {
+  return randomBytes(24).toString('hex');
+}
+
+// Helper function to compare reconnection tokens (and log keys) in constant time
+function isValidReconnectToken(expected, provided) {
+  if (typeof expected !== 'string' || typeof provided !== 'string') {
+    return false;
+  }
+
+  const expectedBuffer = Buffer.from(expected);
+  const providedBuffer = Buffer.from(provided);
+
+  return expectedBuffer.length === providedBuffer.length &&
+    timingSafeEqual(expectedBuffer, providedBuffer);
+}
+
+// Helper function to hash a room password with a random salt; only the hash is kept on the room
+async function hashRoomPassword(password) {
+  const salt = randomBytes(16).toString('hex');
+  const hash = (await scrypt(password, salt, 32)).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+// Helper function to check a password against a room's stored hash in constant time
+async function isValidRoomPassword(passwordHash, password) {
+  if (typeof password !== 'string' || password.length === 0 || password.length > MAX_PASSWORD_LENGTH) {
+    return false;
+  }
+
+  const [salt, hash] = passwordHash.split(':');
+  const expected = Buffer.from(hash, 'hex');
+  const provided = await scrypt(password, salt, expected.length);
+
+  return timingSafeEqual(expected, provided);
+}
+
+// Helper function to check whether a client address (`ip:<address>`) has run out of password attempts for now
+function isPasswordRateLimited(key) {
+  const now = Date.now();
+  const recent = (passwordFailures.get(key) || []).filter(failedAt => now - failedAt < PASSWORD_ATTEMPT_LIMIT.windowMs);
+
+  if (recent.length === 0) {
+    passwordFailures.delete(key);
+    return false;
+  }
+
+  passwordFailures.set(key, recent);
+  return recent.length >= PASSWORD_ATTEMPT_LIMIT.attempts;
+}
+
+// Helper function to remember a wrong password against a client address (`ip:<address>`)
+function recordPasswordFailure(key) {
+  passwordFailures.set(key, [...(passwordFailures.get(key) || []), Date.now()]);
+}
+
+// Helper function to check a room's win conditions against its current state
+function evaluateRoom(room) {
+  return evaluateWinConditions(boardGrid, {
+    ships: room.gameState.ships,
+    scores: room.gameState.scores,
+    turnNumber: room.turnNumber
+  }, room.rules);
+}
+
+// Helper function to end a game, lock the room and announce the winner with final stats
+function finishGame(room, { winner, reason }) {
+  const state = { ships: room.gameState.ships, scores: room.gameState.scores };
+  const scores = room.gameState.scores || {};
+
+  const standings = rankShips(boardGrid, state, room.rules).map((ship, index) => {
+    const player = room.players.find(p => p.ship === ship);
+    return {
+      rank: index + 1,
+      ship,
+      nickname: player ? player.nickname : ship,
+      color: player ? player.color : null,
+      score: scores[ship] || 0,
+      cell: room.gameState.ships[ship].cell,
+      distanceToGoal: boardGrid.distance(room.gameState.ships[ship].cell, room.rules.goalCell)
+    };
+  });
+
+  stopTurnTimer(room);
+  room.status = 'finished';
+  room.result = {
+    winner,
+    reason,
+    stats: {
+      turns: room.turnNumber,
+      durationMs: room.startedAt ? Date.now() - room.startedAt : 0,
+      standings
+    }
+  };
+  logAction(room, ACTION_TYPES.GAME_OVER, { winner, reason });
+
+  console.log(`Room ${room.id}: Game over - ${winner ? `${winner} wins` : 'draw'} (${reason})`);
+  io.to(room.id).emit('game-over', room.result);
+
+  if (room.isPublic) {
+    broadcastRoomList();
+  }
+}
+
+// Helper function to append an authoritative action to the room's log for replays
+// (details are copied so later changes to the room's state don't rewrite history)
+function logAction(room, type, details = {}) {
+  room.actionLog.push({ type, at: Date.now(), turnNumber: room.turnNumber, ...structuredClone(details) });
+}
+
+// Helper function to log the players and board a game starts from, so a replay never depends on earlier joins
+function logGameStart(room) {
+  logAction(room, ACTION_TYPES.GAME_START, {
+    players: room.players.map(({ ship, nickname, seat, color }) => ({ ship, nickname, seat, color })),
+    ships: room.gameState.ships,
+    blackHoles: room.gameState.blackHoles,
+    scrap: room.gameState.scrap,
+    scores: room.gameState.scores,
+    stats: room.gameState.stats,
+    currentTurn: room.currentTurn
+  });
+}
+
+// Helper function to record a player's rematch vote and start the rematch once everyone agreed
+function voteForRematch(room, player) {
+  if (!room.rematch.accepted.includes(player.ship)) {
+    room.rematch.accepted.push(player.ship);
+  }
+
+  checkRematch(room);
+}
+
+// Helper function to announce the rematch vote, or start the new game when every seated player accepted
+function checkRematch(room) {
+  const waitingFor = room.players
+    .filter(p => !room.rematch.accepted.includes(p.ship))
+    .map(p => p.ship);
+
+  if (waitingFor.length > 0) {
+    io.to(room.id).emit('rematch-updated', { ...room.rematch, waitingFor });
+    return;
+  }
+
+  startRematch(room);
+}
+
+// Helper function to reset a finished room for a new game; the next seat takes the first turn
+function startRematch(room) {
+  const seated = room.players.slice().sort((a, b) => a.seat - b.seat);
+  const starter = seated.find(p => p.seat > room.firstSeat) || seated[0];
+
+  // Every game gets a board of its own
+  room.seed = createSeed();
+  room.gameState = { ships: {}, blackHoles: generateRoomBlackHoles(room), scrap: [], scores: {}, stats: {}, shields: {}, skips: {} };
+  room.gameState.scrap = placeStartingScrap(room);
+  room.deck = createDeck(EVENT_CARDS, getDeckSeed(room.seed, 0));
+  room.players.forEach(p => {
+    room.gameState.ships[p.ship] = getSeatStartState(p.seat);
+    room.gameState.scores[p.ship] = 0;
+    room.gameState.stats[p.ship] = createShipStats();
+  });
+
+  room.firstSeat = starter.seat;
+  room.currentTurn = starter.ship;
+  room.turnNumber = 1;
+  room.diceRoll = null;
+  room.turnStartCell = { ...getShipState(room, starter.ship).cell };
+  room.turnMoves = null;
+  room.result = null;
+  room.rematch = null;
+
+  // Everyone starts the new game with a full bank
+  room.clocks = {};
+  if (room.timeControl.type === TIME_CONTROL_TYPES.BANK) {
+    room.players.forEach(p => {
+      room.clocks[p.ship] = room.timeControl.seconds * 1000;
+    });
+  }
+
+  // Players who left since the last game leave open seats to fill first
+  room.status = room.players.length >= room.maxPlayers ? 'playing' : 'waiting';
+  room.startedAt = room.status === 'playing' ? Date.now() : null;
+
+  // The new game gets a log of its own; with open seats it starts once they are filled
+  room.actionLog = [];
+  if (room.status === 'playing') {
+    logGameStart(room);
+  }
+
+  console.log(`Room ${room.id}: Rematch started, ${starter.ship} goes first (${room.status})`);
+  io.to(room.id).emit('rematch-started', serializeRoom(room));
+  startTurnTimer(room);
+
+  // A rematch with empty seats reopens the room
+  if (room.isPublic) {
+    broadcastRoomList();
+  }
+}
+
+// Helper function to check whether a socket is already playing in or watching a room
+function isSocketInRoom(socketId) {
+  return Array.from(rooms.values()).some(room =>
+    room.players.some(p => p.id === socketId) || room.spectators.some(s => s.id === socketId)
+  );
+}
+
+// Helper function to pair up queued players, oldest first
+function matchQueuedPlayers() {
+  while (matchQueue.length >= 2) {
+    const [first, second] = matchQueue.splice(0, 2);
+    startQuickMatch(first, second);
+  }
+}
+
+// Helper function to put two queued players in a fresh two-seat room; whoever queued first goes first
+function startQuickMatch(first, second) {
+  const room = createRoom({ maxPlayers: 2 });
+  const seated = [first, second].map(entry => seatPlayer(room, entry.socketId, entry.nickname, entry.color));
+  rooms.save(room);
+
+  recentMatchWaits.push(Date.now() - first.queuedAt);
+  if (recentMatchWaits.length > MATCH_WAIT_SAMPLES) {
+    recentMatchWaits.shift();
+  }
+
+  seated.forEach((player, index) => {
+    const playerSocket = io.sockets.sockets.get(player.id);
+    if (!playerSocket) return;
+
+    leaveLobby(playerSocket);
+    playerSocket.join(room.id);
+    playerSocket.emit('match-found', {
+      roomId: room.id,
+      opponent: seated[1 - index].nickname
+    });
+
+    // Same payload as joining by code, so the client carries on as if it had joined the room
+    playerSocket.emit('room-joined', {
+      ...serializeRoom(room),
+      playerShip: player.ship,
+      nickname: player.nickname,
+      reconnectToken: player.token,
+      logKey: room.logKey
+    });
+  });
+
+  console.log(`Quick match: ${first.nickname} vs ${second.nickname} in room ${room.id}`);
+}
+
+// Helper function to stop lobby updates and quick matching for a socket that has entered a room
+function leaveLobby(socket) {
+  socket.leave(LOBBY_CHANNEL);
+
+  if (removeFromMatchQueue(socket.id)) {
+    socket.emit('match-cancelled');
+    emitMatchQueueStatus();
+  }
+}
+
+// Helper function to take a socket out of the match queue; returns true if it was queued
+function removeFromMatchQueue(socketId) {
+  const index = matchQueue.findIndex(entry => entry.socketId === socketId);
+  if (index === -1) return false;
+
+  matchQueue.splice(index, 1);
+  console.log(`Player ${socketId} left the match queue (${matchQueue.length} waiting)`);
+  return true;
+}
+
+// Helper function to tell everyone in the match queue where they stand; the estimate is the average recent wait
+function emitMatchQueueStatus() {
+  const now = Date.now();
+  const estimatedWaitMs = recentMatchWaits.length > 0
+    ? Math.round(recentMatchWaits.reduce((total, wait) => total + wait, 0) / recentMatchWaits.length)
+    : null;
+
+  matchQueue.forEach((entry, index) => {
+    io.to(entry.socketId).emit('match-queue', {
+      position: index + 1,
+      queueSize: matchQueue.length,
+      waitingMs: now - entry.queuedAt,
+      estimatedWaitMs
+    });
+  });
+}
+
+// Helper function to get the player hosting a room
+function getRoomHost(room) {
+  return room.players.find(p => p.ship === room.hostShip) || null;
+}
+
+// Helper function to get the player in the lowest occupied seat
+function getLowestSeatPlayer(room) {
+  return room.players.reduce((lowest, p) => (!lowest || p.seat < lowest.seat ? p : lowest), null);
+}
+
+// Helper function to tell everyone in a room who the host is now
+function emitHostChanged(room) {
+  const host = getRoomHost(room);
+
+  io.to(room.id).emit('host-changed', {
+    hostShip: room.hostShip,
+    nickname: host ? host.nickname : null
+  });
+}
+
+// Helper function to list public rooms that can still be joined, newest first
+function getPublicRooms() {
+  const now = Date.now();
+
+  return Array.from(rooms.values())
+    .filter(room => room.isPublic && !room.locked && room.status !== 'finished' && room.players.length < room.maxPlayers)
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(room => ({
+      roomId: room.id,
+      host: getRoomHost(room)?.nickname || null,
+      players: room.players.length,
+      maxPlayers: room.maxPlayers,
+      status: room.status,
+      hasPassword: !!room.passwordHash,
+      timeControl: room.timeControl,
+      ageMs: now - room.createdAt
+    }));
+}
+
+// Helper function to push the current public room list to everyone browsing the lobby
+function broadcastRoomList() {
+  io.to(LOBBY_CHANNEL).emit('room-list', { rooms: getPublicRooms() });
+}
+
+// Helper function to strip secrets before sending the player list to clients
+function serializePlayers(room) {
+  return room.players.map(({ token, ...player }) => player);
+}
+
+// Helper function to describe a room without any of its contents (for rooms behind a password)
+function summarizeRoom(room) {
+  return {
+    roomId: room.id,
+    players: room.players.length,
+    maxPlayers: room.maxPlayers,
+    status: room.status,
+    hasPassword: !!room.passwordHash
+  };
+}
+
+// Helper function to build the room snapshot sent when a client joins, reconnects or asks for info
+function serializeRoom(room) {
+  return {
+    roomId: room.id,
+    maxPlayers: room.maxPlayers,
+    isPublic: room.isPublic,
+    hasPassword: !!room.passwordHash,
+    hostShip: room.hostShip,
+    locked: room.locked,
+    status: room.status,
+    players: serializePlayers(room),
+    spectators: serializeSpectators(room),
+    turnOrder: getTurnOrder(room),
+    gameState: room.gameState,
+    currentTurn: room.currentTurn,
+    turnNumber: room.turnNumber,
+    diceRoll: room.diceRoll,
+    turnStartCell: room.turnStartCell,
+    rules: room.rules,
+    result: room.result,
+    rematch: room.rematch,
+    timeControl: room.timeControl,
+    turnTimer: getTurnTimer(room),
+    chat: room.chat
+  };
+}
+
+// Helper function to list spectators without their socket IDs
+function serializeSpectators(room) {
+  return room.spectators.map(({ nickname }) => ({ nickname }));
+}
+
+// Helper function to refuse game actions from spectators; returns true if the socket was rejected
+function rejectSpectator(socket, room) {
+  if (!room.spectators.some(s => s.id === socket.id)) {
+    return false;
+  }
+
+  socket.emit('error', {
+    message: 'Spectators cannot make moves',
+    code: 'SPECTATOR_READ_ONLY'
+  });
+  return true;
+}
+
+// Helper function to refuse moves once a game is over; returns true if the request was rejected
+function rejectFinishedGame(socket, room) {
+  if (room.status !== 'finished') {
+    return false;
+  }
+
+  socket.emit('error', {
+    message: 'The game is over',
+    code: 'GAME_OVER'
+  });
+  return true;
+}
+
+// Helper function to check (and record) a chat message against the per-socket rate limit
+function isChatRateLimited(socketId) {
+  const now = Date.now();
+  const recent = (chatRateLimits.get(socketId) || []).filter(sentAt => now - sentAt < CHAT_RATE_LIMIT.windowMs);
+
+  if (recent.length >= CHAT_RATE_LIMIT.messages) {
+    chatRateLimits.set(socketId, recent);
+    return true;
+  }
+
+  recent.push(now);
+  chatRateLimits.set(socketId, recent);
+  return false;
+}
+
+// Helper function to check a protected room's log download: the room's log key or the room password
+async function hasLogAccess(room, key, password) {
+  return isValidReconnectToken(room.logKey, key) ||
+    await isValidRoomPassword(room.passwordHash, password);
+}
+
+// Helper function to refuse joining or watching a protected room without its password; resolves true if rejected
+async function rejectWrongPassword(socket, room, password) {
+  if (!room.passwordHash) return false;
+
+  // Counted by address, not socket, so reconnecting doesn't buy more guesses
+  const limitKey = `ip:${socket.handshake.address}`;
+  if (isPasswordRateLimited(limitKey)) {
+    socket.emit('error', { message: 'Too many wrong passwords - try again in a minute', code: 'PASSWORD_RATE_LIMITED' });
+    return true;
+  }
+
+  if (await isValidRoomPassword(room.passwordHash, password)) {
+    // The room may have closed while the password was being checked
+    if (rooms.get(room.id) !== room) {
+      socket.emit('error', { message: 'Room not found' });
+      return true;
+    }
+    return false;
+  }
+
+  if (password) {
+    recordPasswordFailure(limitKey);
+  }
+  socket.emit('error', password
+    ? { message: 'Incorrect room password', code: 'INVALID_PASSWORD' }
+    : { message: 'This room needs a password', code: 'PASSWORD_REQUIRED' });
+  return true;
+}
+
+// Helper function to refuse host-only actions from everyone else; returns true if the socket was rejected
+function rejectNonHost(socket, room) {
+  const player = room.players.find(p => p.id === socket.id);
+  if (player && player.ship === room.hostShip) {
+    return false;
+  }
+
+  socket.emit('error', {
+    message: 'Only the host can do that',
+    code: 'NOT_HOST'
+  });
+  return true;
+}
+
+// Helper function to refuse new players and spectators once the host has locked the room; returns true if rejected
+function rejectLockedRoom(socket, room) {
+  if (!room.locked) {
+    return false;
+  }
+
+  socket.emit('error', {
+    message: 'This room is locked by the host',
+    code: 'ROOM_LOCKED'
+  });
+  return true;
+}
@@ -0,0 +1,101 @@
+// Room storage for server.js.
+// Every store keeps the live rooms in memory; `save()` must be called after each change to a room
+// so persistent stores can write it through (server.js skips in-progress ship drags, which are only
+// previews). Persistent stores restore their rooms in `load()`.
+import { existsSync, mkdirSync, readdirSync, readFileSync, renameSync, unlinkSync, writeFileSync } from 'fs';
+import { join } from 'path';
+
+// Rooms live only as long as the process
+export class MemoryRoomStore {
+  constructor() {
+    this.rooms = new Map();
+  }
+
+  // Rooms restored from storage (none for memory)
+  load() {
+    return [];
+  }
+
+  get(roomId) {
+    return this.rooms.get(roomId);
+  }
+
+  has(roomId) {
+    return this.rooms.has(roomId);
+  }
+
+  values() {
+    return this.rooms.values();
+  }
+
+  entries() {
+    return this.rooms.entries();
+  }
+
+  save(room) {
+    this.rooms.set(room.id, room);
+  }
+
+  delete(roomId) {
+    this.rooms.delete(roomId);
+  }
+}
+
+// One JSON file per room, so a restart or redeploy can pick up games in progress
+export class FileRoomStore extends MemoryRoomStore {
+  constructor(directory) {
+    super();
+    this.directory = directory;
+    mkdirSync(this.directory, { recursive: true });
+  }
+
+  load() {
+    const loaded = [];
+
+    readdirSync(this.directory)
+      .filter(file => file.endsWith('.json'))
+      .forEach(file => {
+        try {
+          const room = JSON.parse(readFileSync(join(this.directory, file), 'utf8'));
+          this.rooms.set(room.id, room);
+          loaded.push(room);
+        } catch (error) {
+          console.error(`RoomStore: Skipping unreadable room file ${file}:`, error.message);
+        }
+      });
+
+    console.log(`RoomStore: Loaded ${loaded.length} room(s) from ${this.directory}`);
+    return loaded;
+  }
+
+  save(room) {
+    super.save(room);
+
+    // Write to a temp file first so a crash mid-write never leaves a truncated room behind
+    const file = this.getRoomFile(room.id);
+    writeFileSync(`${file}.tmp`, JSON.stringify(room));
+    renameSync(`${file}.tmp`, file);
+  }
+
+  delete(roomId) {
+    super.delete(roomId);
+
+    const file = this.getRoomFile(roomId);
+    if (existsSync(file)) {
+      unlinkSync(file);
+    }
+  }
+
+  getRoomFile(roomId) {
+    return join(this.directory, `${roomId}.json`);
+  }
+}
+
+// ROOM_STORE=memory keeps rooms in memory only; otherwise they are written to ROOM_STORE_PATH
+export function createRoomStore({ type = process.env.ROOM_STORE, path = process.env.ROOM_STORE_PATH } = {}) {
+  if (type === 'memory') {
+    return new MemoryRoomStore();
+  }
+
+  return new FileRoomStore(path || join(process.cwd(), 'data', 'rooms'));
+}
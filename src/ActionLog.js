@@ -0,0 +1,175 @@
+// Game action log recorded by server.js and played back by the replay viewer.
+// Kept free of Three.js so the server can import it directly.
+
+import { describeCardOutcome } from './EventCards.js';
+import { DAMAGE_CAUSES } from './ShipStats.js';
+
+const DAMAGE_CAUSE_NAMES = {
+  [DAMAGE_CAUSES.BLACK_HOLE]: 'a black hole',
+  [DAMAGE_CAUSES.RAM]: 'a ram',
+  [DAMAGE_CAUSES.CARD]: 'an event card'
+};
+
+export const ACTION_TYPES = {
+  JOIN: 'join', // { ship, nickname, seat, color, state }
+  LEAVE: 'leave', // { ship, nickname, kicked }
+  GAME_START: 'game-start', // { players: [{ ship, nickname, seat, color }], ships, blackHoles, scrap, scores, stats, currentTurn }
+  ROLL: 'roll', // { ship, dice1, dice2, total }
+  MOVE: 'move', // { ship, state, undo } - a committed move (the ship was let go), or an undo back to an earlier state
+  TELEPORT: 'teleport', // { ship, blackHole, from, state, shielded } - the last move ended on a black hole, which threw the ship out at `state` (or a shield held it)
+  CARD: 'card', // { ship, card, name, outcome } - an event card drawn on a roll; `outcome` is what the rules engine did (see src/EventCards.js)
+  SKIP: 'skip', // { ship } - a card made this ship sit out its turn
+  END_TURN: 'end-turn', // { ship, state, timedOut } - the ship's state when its turn ended
+  RAM: 'ram', // { ship, target, from, to, pushed, damage } - ended its turn facing `target` and shoved it from `from` to `to` (or damaged it)
+  DAMAGE: 'damage', // { ship, amount, cause, absorbed, hullDamage, stats, destroyed } - see src/ShipStats.js
+  COLLECT: 'collect', // { ship, scrap, value, score } - picked up the scrap token `scrap` at the end of its turn
+  SCRAP_DROP: 'scrap-drop', // { scrap: [{ id, cell, value }] } - new tokens on the board
+  TURN: 'turn', // { ship, turnStartCell } - whose turn it is now
+  FORFEIT: 'forfeit', // { ship } - ran out of bank time
+  GAME_OVER: 'game-over' // { winner, reason }
+};
+
+// Board state after the first `count` actions (all of them by default), for stepping through a replay
+export function replayActions(actions, count = actions.length) {
+  const state = {
+    players: [],
+    ships: {},
+    blackHoles: [],
+    scrap: [],
+    scores: {},
+    stats: {},
+    currentTurn: null,
+    turnNumber: 1,
+    diceRoll: null,
+    result: null
+  };
+
+  actions.slice(0, count).forEach(action => {
+    state.turnNumber = action.turnNumber ?? state.turnNumber;
+
+    switch (action.type) {
+      case ACTION_TYPES.JOIN:
+        state.players = state.players.filter(p => p.ship !== action.ship);
+        state.players.push({ ship: action.ship, nickname: action.nickname, seat: action.seat, color: action.color });
+        state.ships[action.ship] = { ...action.state };
+        break;
+      case ACTION_TYPES.LEAVE:
+        state.players = state.players.filter(p => p.ship !== action.ship);
+        delete state.ships[action.ship];
+        break;
+      case ACTION_TYPES.GAME_START:
+        state.players = action.players.map(p => ({ ...p }));
+        state.ships = JSON.parse(JSON.stringify(action.ships));
+        state.blackHoles = (action.blackHoles || []).map(blackHole => ({ id: blackHole.id, cell: { ...blackHole.cell } }));
+        state.scrap = (action.scrap || []).map(token => ({ ...token, cell: { ...token.cell } }));
+        state.scores = { ...action.scores };
+        state.stats = JSON.parse(JSON.stringify(action.stats || {}));
+        state.currentTurn = action.currentTurn;
+        state.diceRoll = null;
+        state.result = null;
+        break;
+      case ACTION_TYPES.ROLL:
+        state.diceRoll = { ship: action.ship, dice1: action.dice1, dice2: action.dice2, total: action.total };
+        break;
+      case ACTION_TYPES.MOVE:
+      case ACTION_TYPES.TELEPORT:
+      case ACTION_TYPES.END_TURN:
+        state.ships[action.ship] = { ...state.ships[action.ship], ...action.state };
+        break;
+      case ACTION_TYPES.CARD: {
+        const { outcome } = action;
+        Object.entries(outcome.ships || {}).forEach(([ship, shipState]) => {
+          state.ships[ship] = { ...state.ships[ship], ...shipState };
+        });
+        if (outcome.blackHole) {
+          state.blackHoles = [...state.blackHoles, { id: outcome.blackHole.id, cell: { ...outcome.blackHole.cell } }];
+        }
+        if (outcome.scrap) {
+          state.scrap = [...state.scrap, ...outcome.scrap.map(token => ({ ...token, cell: { ...token.cell } }))];
+        }
+        break;
+      }
+      case ACTION_TYPES.RAM:
+        state.ships[action.target] = { ...state.ships[action.target], cell: { ...action.to } };
+        break;
+      case ACTION_TYPES.DAMAGE:
+        state.stats = { ...state.stats, [action.ship]: { ...action.stats } };
+        if (action.destroyed) {
+          state.ships[action.ship] = { ...state.ships[action.ship], destroyed: true };
+        }
+        break;
+      case ACTION_TYPES.COLLECT:
+        state.scrap = state.scrap.filter(token => token.id !== action.scrap);
+        state.scores = { ...state.scores, [action.ship]: action.score };
+        break;
+      case ACTION_TYPES.SCRAP_DROP:
+        state.scrap = [...state.scrap, ...action.scrap.map(token => ({ ...token, cell: { ...token.cell } }))];
+        break;
+      case ACTION_TYPES.TURN:
+        state.currentTurn = action.ship;
+        state.diceRoll = null;
+        break;
+      case ACTION_TYPES.FORFEIT:
+        state.ships[action.ship] = { ...state.ships[action.ship], forfeited: true };
+        break;
+      case ACTION_TYPES.GAME_OVER:
+        state.result = { winner: action.winner, reason: action.reason };
+        break;
+    }
+  });
+
+  state.players.sort((a, b) => a.seat - b.seat);
+  return state;
+}
+
+// One line describing an action, for the replay's event list
+export function describeAction(action, players = []) {
+  const name = ship => {
+    const player = players.find(p => p.ship === ship);
+    return player ? `${player.nickname} (${ship})` : ship;
+  };
+
+  switch (action.type) {
+    case ACTION_TYPES.JOIN:
+      return `${action.nickname} joined as ${action.ship}`;
+    case ACTION_TYPES.LEAVE:
+      return `${action.nickname} ${action.kicked ? 'was kicked' : 'left'}`;
+    case ACTION_TYPES.GAME_START:
+      return `Game started, ${name(action.currentTurn)} goes first`;
+    case ACTION_TYPES.ROLL:
+      return `${name(action.ship)} rolled ${action.dice1} + ${action.dice2} = ${action.total}`;
+    case ACTION_TYPES.MOVE:
+      return `${name(action.ship)} ${action.undo ? 'undid a move back' : 'moved'} to (${action.state.cell.col}, ${action.state.cell.row})`;
+    case ACTION_TYPES.TELEPORT:
+      if (action.shielded) {
+        return `${name(action.ship)}'s shield held it out of a black hole`;
+      }
+      return `${name(action.ship)} fell into a black hole and came out at (${action.state.cell.col}, ${action.state.cell.row})`;
+    case ACTION_TYPES.END_TURN:
+      return `${name(action.ship)} ${action.timedOut ? 'ran out of time' : 'ended their turn'}`;
+    case ACTION_TYPES.CARD:
+      return `${name(action.ship)} drew ${action.name || action.card}: ${describeCardOutcome(null, action.outcome, name)}`;
+    case ACTION_TYPES.SKIP:
+      return `${name(action.ship)} skipped a turn`;
+    case ACTION_TYPES.RAM:
+      return action.pushed
+        ? `${name(action.ship)} rammed ${name(action.target)}, pushing it ${action.pushed} cell${action.pushed === 1 ? '' : 's'}`
+        : `${name(action.ship)} rammed ${name(action.target)}, which couldn't be pushed and took ${action.damage} damage`;
+    case ACTION_TYPES.DAMAGE: {
+      const taken = `${name(action.ship)} took ${action.amount} damage from ${DAMAGE_CAUSE_NAMES[action.cause] || action.cause}`;
+      return action.destroyed ? `${taken} and was destroyed` : `${taken} (hull ${action.stats.hull}/${action.stats.maxHull})`;
+    }
+    case ACTION_TYPES.COLLECT:
+      return `${name(action.ship)} collected ${action.value} scrap (${action.score} total)`;
+    case ACTION_TYPES.SCRAP_DROP:
+      return `${action.scrap.length} scrap dropped onto the board`;
+    case ACTION_TYPES.TURN:
+      return `Turn ${action.turnNumber}: ${name(action.ship)}`;
+    case ACTION_TYPES.FORFEIT:
+      return `${name(action.ship)} forfeited`;
+    case ACTION_TYPES.GAME_OVER:
+      return action.winner ? `Game over - ${name(action.winner)} wins (${action.reason})` : `Game over - draw (${action.reason})`;
+    default:
+      return action.type;
+  }
+}
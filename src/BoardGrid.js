@@ -0,0 +1,152 @@
+// Board grid model shared by the GameEngine (client) and server.js.
+// Kept free of Three.js so the server can import it directly.
+//
+// Cells are addressed as { col, row }; col runs along world x and row along world z.
+// Ship facing is one of 8 compass steps of 45 degrees around the world y axis.
+
+// Defaults match the GameBoard_Base plane in scene_export.gltf (20x20 units at the origin)
+const DEFAULT_BOARD_BOUNDS = {
+  min: { x: -10, z: -10 },
+  max: { x: 10, z: 10 }
+};
+
+// Fraction of the board on each side taken by the texture's frame around the playable grid
+const DEFAULT_BOARD_MARGIN = 0.038;
+
+export const BOARD_ROWS = 15;
+export const BOARD_COLUMNS = 15;
+export const FACING_STEPS = 8;
+const FACING_ANGLE = (Math.PI * 2) / FACING_STEPS;
+
+export class BoardGrid {
+  constructor({
+    rows = BOARD_ROWS,
+    columns = BOARD_COLUMNS,
+    cellSize = null,
+    origin = null
+  } = {}) {
+    this.rows = rows;
+    this.columns = columns;
+
+    if (cellSize && origin) {
+      this.cellSize = cellSize;
+      this.origin = { x: origin.x, z: origin.z }; // World position of the grid's min corner
+    } else {
+      const grid = BoardGrid.fromBounds(DEFAULT_BOARD_BOUNDS, { rows, columns });
+      this.cellSize = grid.cellSize;
+      this.origin = grid.origin;
+    }
+  }
+
+  // Build a grid from a board's world bounds (e.g. a THREE.Box3 around GameBoard_Base)
+  static fromBounds(bounds, { rows = BOARD_ROWS, columns = BOARD_COLUMNS, margin = DEFAULT_BOARD_MARGIN } = {}) {
+    const width = bounds.max.x - bounds.min.x;
+    const depth = bounds.max.z - bounds.min.z;
+    const playableSize = Math.min(width, depth) * (1 - margin * 2);
+    const cellSize = playableSize / Math.max(rows, columns);
+
+    const centerX = (bounds.min.x + bounds.max.x) / 2;
+    const centerZ = (bounds.min.z + bounds.max.z) / 2;
+
+    return new BoardGrid({
+      rows,
+      columns,
+      cellSize,
+      origin: {
+        x: centerX - (cellSize * columns) / 2,
+        z: centerZ - (cellSize * rows) / 2
+      }
+    });
+  }
+
+  isInside(cell) {
+    return !!cell &&
+      Number.isInteger(cell.col) && Number.isInteger(cell.row) &&
+      cell.col >= 0 && cell.col < this.columns &&
+      cell.row >= 0 && cell.row < this.rows;
+  }
+
+  clampCell(cell) {
+    return {
+      col: Math.min(this.columns - 1, Math.max(0, cell.col)),
+      row: Math.min(this.rows - 1, Math.max(0, cell.row))
+    };
+  }
+
+  // World position -> cell under it, or null when off the board
+  worldToCell(position) {
+    const cell = {
+      col: Math.floor((position.x - this.origin.x) / this.cellSize),
+      row: Math.floor((position.z - this.origin.z) / this.cellSize)
+    };
+
+    return this.isInside(cell) ? cell : null;
+  }
+
+  // World position -> nearest cell on the board
+  nearestCell(position) {
+    return this.clampCell({
+      col: Math.floor((position.x - this.origin.x) / this.cellSize),
+      row: Math.floor((position.z - this.origin.z) / this.cellSize)
+    });
+  }
+
+  // Cell -> world position of its center
+  cellToWorld(cell, y = 0) {
+    return {
+      x: this.origin.x + (cell.col + 0.5) * this.cellSize,
+      y,
+      z: this.origin.z + (cell.row + 0.5) * this.cellSize
+    };
+  }
+
+  // Number of king moves between two cells (the board's diagonals count as one step)
+  distance(from, to) {
+    return Math.max(Math.abs(to.col - from.col), Math.abs(to.row - from.row));
+  }
+
+  // Clamp a world position into the square of cells within `range` steps of `center`
+  clampPositionToRange(position, center, range) {
+    const min = this.clampCell({ col: center.col - range, row: center.row - range });
+    const max = this.clampCell({ col: center.col + range, row: center.row + range });
+    const inset = this.cellSize * 0.001; // Keep clear of the neighbouring cell's edge
+
+    return {
+      x: Math.min(
+        this.origin.x + (max.col + 1) * this.cellSize - inset,
+        Math.max(this.origin.x + min.col * this.cellSize + inset, position.x)
+      ),
+      y: position.y,
+      z: Math.min(
+        this.origin.z + (max.row + 1) * this.cellSize - inset,
+        Math.max(this.origin.z + min.row * this.cellSize + inset, position.z)
+      )
+    };
+  }
+
+  isSameCell(a, b) {
+    return !!a && !!b && a.col === b.col && a.row === b.row;
+  }
+
+  // Rotation around y (radians) -> facing step 0-7
+  static facingFromRotation(angle) {
+    const steps = Math.round(angle / FACING_ANGLE);
+    return ((steps % FACING_STEPS) + FACING_STEPS) % FACING_STEPS;
+  }
+
+  // Facing step 0-7 -> rotation around y (radians)
+  static rotationFromFacing(facing) {
+    return facing * FACING_ANGLE;
+  }
+
+  // Facing step 0-7 -> offset { col, row } of the neighbouring cell the ship points at
+  // (facing 0 looks along +row, facing 2 along +col)
+  static stepFromFacing(facing) {
+    const angle = BoardGrid.rotationFromFacing(facing);
+    return { col: Math.round(Math.sin(angle)) || 0, row: Math.round(Math.cos(angle)) || 0 };
+  }
+
+  static isValidFacing(facing) {
+    return Number.isInteger(facing) && facing >= 0 && facing < FACING_STEPS;
+  }
+}
@@ -0,0 +1,21 @@
+// In-room chat limits and preset emotes shared by server.js and the multiplayer client.
+// Kept free of Three.js so the server can import it directly.
+
+export const CHAT_MAX_LENGTH = 200; // Characters per message
+export const CHAT_HISTORY_LIMIT = 50; // Messages kept on the room and sent on join/reconnect
+
+// At most CHAT_RATE_LIMIT.messages per socket in any CHAT_RATE_LIMIT.windowMs
+export const CHAT_RATE_LIMIT = { messages: 5, windowMs: 5000 };
+
+export const CHAT_EMOTES = [
+  { id: 'hello', icon: '👋', text: 'Hello!' },
+  { id: 'good-luck', icon: '🍀', text: 'Good luck!' },
+  { id: 'nice', icon: '👍', text: 'Nice move!' },
+  { id: 'oops', icon: '😅', text: 'Oops!' },
+  { id: 'thinking', icon: '🤔', text: 'Hmm...' },
+  { id: 'gg', icon: '🤝', text: 'Good game!' }
+];
+
+export function getChatEmote(id) {
+  return CHAT_EMOTES.find(emote => emote.id === id) || null;
+}
@@ -0,0 +1,232 @@
+// Event card deck and the rules engine that plays its cards, shared by server.js and the single player game.
+// Kept free of Three.js so the server can import it directly.
+//
+// Cards are defined in src/data/event-cards.json: { drawOn: { doubles, totals }, cards: [{ id, name, description,
+// copies, effect: { type, ... } }] }. A deck is { drawPile, discardPile, shuffles } of card ids; it is shuffled
+// from a seed and reshuffled from its discards when the draw pile runs out.
+
+import { placeBlackHole } from './Hazards.js';
+import { createRandom, mixSeed } from './Random.js';
+import { placeScrap } from './Scrap.js';
+
+export const CARD_EFFECTS = {
+  BOOST: 'boost', // { cells } - extra cells of movement this turn
+  SHIELD: 'shield', // The next black hole the ship ends a move on can't pull it in
+  SWAP_POSITIONS: 'swap-positions', // { target: 'nearest-opponent' } - trade cells with another ship
+  SKIP_TURN: 'skip-turn', // { target: 'next-opponent' } - that ship's next turn is passed over
+  SPAWN_HAZARD: 'spawn-hazard', // { hazard: 'black-hole' }
+  SPAWN_SCRAP: 'spawn-scrap', // { count }
+  DAMAGE: 'damage' // { amount, target: 'nearest-opponent' } - the server deals the damage (see src/ShipStats.js)
+};
+
+// Keep deck shuffles and card effects from sharing a random sequence with the other decisions made from the room's seed
+const DECK_SEED_SALT = 0xCA4D5;
+const EFFECT_SEED_SALT = 0xEFFEC;
+
+// Seed for a deck's nth shuffle (0 is the first)
+export function getDeckSeed(roomSeed, shuffles) {
+  return mixSeed(mixSeed(roomSeed, DECK_SEED_SALT), shuffles);
+}
+
+// Seed for the cells a card drawn on a given turn picks (one roll, so at most one card, per turn)
+export function getCardEffectSeed(roomSeed, turnNumber) {
+  return mixSeed(mixSeed(roomSeed, EFFECT_SEED_SALT), turnNumber);
+}
+
+// Throws if the definitions can't be played; returns them for chaining
+export function validateCardDefinitions(definitions) {
+  if (!definitions || !Array.isArray(definitions.cards) || definitions.cards.length === 0) {
+    throw new Error('Event cards: no cards defined');
+  }
+
+  const types = Object.values(CARD_EFFECTS);
+  const ids = new Set();
+  definitions.cards.forEach(card => {
+    if (!card.id || ids.has(card.id)) {
+      throw new Error(`Event cards: missing or duplicate id "${card.id}"`);
+    }
+    if (!card.effect || !types.includes(card.effect.type)) {
+      throw new Error(`Event cards: unknown effect for "${card.id}"`);
+    }
+    ids.add(card.id);
+  });
+
+  return definitions;
+}
+
+export function getCard(definitions, id) {
+  return definitions.cards.find(card => card.id === id) || null;
+}
+
+// Whether a roll draws a card: any doubles (when enabled) or one of the listed totals
+export function shouldDrawCard(drawOn, dice1, dice2) {
+  if (!drawOn) return false;
+  return (!!drawOn.doubles && dice1 === dice2) ||
+    (Array.isArray(drawOn.totals) && drawOn.totals.includes(dice1 + dice2));
+}
+
+// A fresh deck holding every card's copies, shuffled from the seed
+export function createDeck(definitions, seed) {
+  const ids = [];
+  definitions.cards.forEach(card => {
+    for (let i = 0; i < (card.copies || 1); i++) {
+      ids.push(card.id);
+    }
+  });
+
+  return { drawPile: shuffle(ids, createRandom(seed)), discardPile: [], shuffles: 0 };
+}
+
+// Take the top card; an empty draw pile is refilled from the discards first.
+// Returns { card, deck } with a new deck, leaving the one passed in alone.
+export function drawCard(definitions, deck, roomSeed) {
+  let { drawPile, discardPile, shuffles } = deck;
+
+  if (drawPile.length === 0) {
+    shuffles += 1;
+    drawPile = shuffle(discardPile, createRandom(getDeckSeed(roomSeed, shuffles)));
+    discardPile = [];
+  }
+
+  const [id, ...rest] = drawPile;
+  return {
+    card: getCard(definitions, id),
+    deck: { drawPile: rest, discardPile: [...discardPile, id], shuffles }
+  };
+}
+
+// Play a card drawn by `ship` against a board state { ships, blackHoles, scrap, shields, skips }.
+// `turnOrder` lists the ships still taking turns, `seed` picks any new cells and `reserved` cells
+// (homes, the goal) never get a new black hole or scrap.
+// Returns { state, outcome }: a new state, and what happened ({ type, ... }) for the log and the card reveal.
+export function applyCardEffect(grid, state, card, { ship, turnOrder = [], seed = 0, reserved = [] }) {
+  const next = {
+    ships: { ...state.ships },
+    blackHoles: [...(state.blackHoles || [])],
+    scrap: [...(state.scrap || [])],
+    shields: { ...state.shields },
+    skips: { ...state.skips }
+  };
+  const { effect } = card;
+  const outcome = { type: effect.type };
+
+  switch (effect.type) {
+    case CARD_EFFECTS.BOOST:
+      outcome.cells = effect.cells || 0;
+      break;
+
+    case CARD_EFFECTS.SHIELD:
+      next.shields[ship] = true;
+      break;
+
+    case CARD_EFFECTS.SWAP_POSITIONS: {
+      const target = findNearestOpponent(grid, next.ships, ship, turnOrder);
+      if (!target) break;
+
+      // Ships trade cells but keep their facing
+      const mine = next.ships[ship];
+      const theirs = next.ships[target];
+      next.ships[ship] = { ...mine, cell: { ...theirs.cell } };
+      next.ships[target] = { ...theirs, cell: { ...mine.cell } };
+      outcome.target = target;
+      outcome.ships = { [ship]: next.ships[ship], [target]: next.ships[target] };
+      break;
+    }
+
+    case CARD_EFFECTS.DAMAGE: {
+      const target = findNearestOpponent(grid, next.ships, ship, turnOrder);
+      if (!target) break;
+
+      outcome.target = target;
+      outcome.amount = effect.amount || 1;
+      break;
+    }
+
+    case CARD_EFFECTS.SKIP_TURN: {
+      const target = findNextOpponent(ship, turnOrder);
+      if (!target) break;
+
+      next.skips[target] = true;
+      outcome.target = target;
+      break;
+    }
+
+    case CARD_EFFECTS.SPAWN_HAZARD: {
+      const blocked = [...reserved, ...Object.values(next.ships).map(s => s.cell), ...next.scrap.map(token => token.cell)];
+      const blackHole = placeBlackHole(grid, seed, next.blackHoles, blocked);
+      if (!blackHole) break;
+
+      next.blackHoles.push(blackHole);
+      outcome.blackHole = blackHole;
+      break;
+    }
+
+    case CARD_EFFECTS.SPAWN_SCRAP: {
+      const blocked = [
+        ...reserved,
+        ...Object.values(next.ships).map(s => s.cell),
+        ...next.blackHoles.map(blackHole => blackHole.cell),
+        ...next.scrap.map(token => token.cell)
+      ];
+      const dropped = placeScrap(grid, seed, effect.count || 1, blocked, `scrap-card-${seed.toString(36)}`);
+      next.scrap.push(...dropped);
+      outcome.scrap = dropped;
+      break;
+    }
+  }
+
+  return { state: next, outcome };
+}
+
+// One line saying what a played card did, for the card reveal and the replay's event list; `name` maps ship ids to names
+export function describeCardOutcome(card, outcome, name = ship => ship) {
+  switch (outcome.type) {
+    case CARD_EFFECTS.BOOST:
+      return `+${outcome.cells} cells of movement this turn`;
+    case CARD_EFFECTS.SHIELD:
+      return 'Shielded against the next black hole';
+    case CARD_EFFECTS.SWAP_POSITIONS:
+      return outcome.target ? `Swapped places with ${name(outcome.target)}` : 'No ship to swap with';
+    case CARD_EFFECTS.DAMAGE:
+      return outcome.target ? `${name(outcome.target)} takes ${outcome.amount} damage` : 'No ship in range';
+    case CARD_EFFECTS.SKIP_TURN:
+      return outcome.target ? `${name(outcome.target)} skips their next turn` : 'No one to skip';
+    case CARD_EFFECTS.SPAWN_HAZARD:
+      return outcome.blackHole
+        ? `A black hole opened at (${outcome.blackHole.cell.col}, ${outcome.blackHole.cell.row})`
+        : 'No room for another black hole';
+    case CARD_EFFECTS.SPAWN_SCRAP:
+      return `${outcome.scrap ? outcome.scrap.length : 0} scrap dropped onto the board`;
+    default:
+      return card ? card.description : outcome.type;
+  }
+}
+
+// The closest other ship still in play (ties go to the earlier one in turn order)
+function findNearestOpponent(grid, ships, ship, turnOrder) {
+  const from = ships[ship] && ships[ship].cell;
+  if (!from) return null;
+
+  return turnOrder
+    .filter(other => other !== ship && ships[other])
+    .reduce((nearest, other) => (
+      !nearest || grid.distance(from, ships[other].cell) < grid.distance(from, ships[nearest].cell) ? other : nearest
+    ), null);
+}
+
+// Whoever plays after `ship`
+function findNextOpponent(ship, turnOrder) {
+  const index = turnOrder.indexOf(ship);
+  const next = turnOrder[(index + 1) % turnOrder.length];
+  return next && next !== ship ? next : null;
+}
+
+// Seeded Fisher-Yates shuffle into a new array
+function shuffle(items, random) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
@@ -0,0 +1,25 @@
+// Seat and fleet colour definitions shared by the GameEngine (client) and server.js.
+// A seat's id is its fleet colour id ('red', 'blue', ...), which also keys its ship.
+
+export const MIN_PLAYERS = 2;
+export const MAX_PLAYERS = 6;
+
+// Colours players can fly, in the order they are handed out to seats
+export const FLEET_COLORS = [
+  { id: 'red', name: 'Red', hex: '#ef4444' },
+  { id: 'blue', name: 'Blue', hex: '#3b82f6' },
+  { id: 'green', name: 'Green', hex: '#22c55e' },
+  { id: 'yellow', name: 'Yellow', hex: '#eab308' },
+  { id: 'purple', name: 'Purple', hex: '#a855f7' },
+  { id: 'orange', name: 'Orange', hex: '#f97316' }
+];
+
+export function getFleetColor(id) {
+  return FLEET_COLORS.find(color => color.id === id) || null;
+}
+
+export function clampPlayerCount(count) {
+  const value = Number.parseInt(count, 10);
+  if (Number.isNaN(value)) return MIN_PLAYERS;
+  return Math.min(MAX_PLAYERS, Math.max(MIN_PLAYERS, value));
+}
@@ -3,6 +3,32 @@ import { OrbitControls } from "three/examples/jsm/controls/OrbitControls.js";
 import { TransformControls } from "three/examples/jsm/controls/TransformControls.js";
 import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
 import { DRACOLoader } from "three/examples/jsm/loaders/DRACOLoader.js";
+import { BoardGrid } from "./BoardGrid.js";
+import { getSeatStartState } from "./MovementRules.js";
+import { FLEET_COLORS, getFleetColor } from "./Fleet.js";
+import { DEFAULT_WIN_RULES } from "./WinConditions.js";
+import { ShipInterpolator } from "./ShipInterpolator.js";
+import { findBlackHole, pickTeleportDestination } from "./Hazards.js";
+import { createSeed } from "./Random.js";
+import { CARD_EFFECTS, applyCardEffect, createDeck, drawCard, shouldDrawCard } from "./EventCards.js";
+import { getRollBudget } from "./ShipStats.js";
+
+// Version of the save documents written by getSaveState(); bump it when the format changes
+export const SAVE_FORMAT_VERSION = 1;
+
+// Seats used in single-player: the two ships modelled in the glTF
+const DEFAULT_FLEET = [
+  { ship: "red", seat: 0, color: FLEET_COLORS[0].hex },
+  { ship: "blue", seat: 1, color: FLEET_COLORS[1].hex },
+];
+
+// Single player has no turns to skip and no score, so only these cards go in its deck
+const LOCAL_CARD_EFFECTS = [
+  CARD_EFFECTS.BOOST,
+  CARD_EFFECTS.SHIELD,
+  CARD_EFFECTS.SWAP_POSITIONS,
+  CARD_EFFECTS.SPAWN_HAZARD,
+];
 
 export class GameEngine {
   constructor() {
@@ -13,14 +39,22 @@ export class GameEngine {
     this.clock = new THREE.Clock();
 
     // Ship-related properties
-    this.redShip = null;
-    this.blueShip = null;
+    this.ships = new Map(); // Seat id (fleet colour) -> ship object
+    this.shipTemplate = null; // glTF ship cloned to spawn extra seats
+    this.fleet = DEFAULT_FLEET; // [{ ship, seat, color }] currently on the board
     this.currentShip = null;
     this.transformControls = null;
     this.orbitControls = null;
     this.gltfLoader = new GLTFLoader();
     this.dracoLoader = new DRACOLoader();
 
+    // Board properties
+    this.boardGrid = new BoardGrid(); // Replaced by a grid fitted to GameBoard_Base once loaded
+    this.boardSurfaceY = 0;
+    this.cellHighlight = null; // Marks the cell a dragged ship will snap to
+    this.goalCell = DEFAULT_WIN_RULES.goalCell; // Reaching this cell wins the game
+    this.goalMarker = null;
+
     this.isRunning = false;
     this.animationId = null;
 
@@ -29,18 +63,38 @@ export class GameEngine {
     this.isMultiplayer = false;
     this.playerShip = null; // Which ship this player controls
     this.isMyTurn = true; // Track if it's this player's turn (default true for single-player)
+    this.shipInterpolator = new ShipInterpolator(); // Smooths other players' drags between network updates
+    this.healthBars = new Map(); // Ship id -> sprite floating over it, for ships the server gives stats
 
     // Black hole properties
-    // this.blackHoles = []; // Array to store black hole objects
-    // this.blackHoleCollisionRadius = 1.5; // Collision radius for black holes
-    // this.lastTeleportTime = 0; // Cooldown for teleportation
-    // this.teleportCooldown = 1000; // Minimum time between teleports (ms)
+    this.blackHoles = new Map(); // Black hole id -> group, as placed by the server
+    this.blackHolesKey = null; // The placement currently drawn, so an unchanged one isn't rebuilt
+
+    // Scrap properties
+    this.scrapTokens = new Map(); // Scrap id -> mesh, as placed by the server
+
+    // Event card properties (single player; in multiplayer the server holds the deck)
+    this.eventCards = null; // Card definitions from src/data/event-cards.json, once enableEventCards() is called
+    this.deck = null; // { drawPile, discardPile, shuffles }
+    this.deckSeed = 0;
+    this.shields = {}; // Ship -> true while a shield card protects it from the next black hole
+    this.cardDrawnCallbacks = [];
 
     // Dice properties
     this.dice1 = 1;
     this.dice2 = 1;
     this.lastRollTotal = 2;
     this.diceRollCallbacks = [];
+
+    // Movement budget properties
+    this.moveBudget = 0; // Cells a ship may travel this turn (set by the dice roll)
+    this.turnStartCells = new Map(); // Ship -> cell at the start of the turn
+    this.moveBudgetCallbacks = [];
+
+    // Undo/redo of this turn's drags: [{ shipId, before, after }] transforms captured when a drag starts and ends
+    this.undoStack = [];
+    this.redoStack = [];
+    this.dragStartTransform = null;
   }
 
   async init() {
@@ -62,10 +116,15 @@ export class GameEngine {
       // Setup ship controls after Blender scene loads
       this.setupBlenderShipControls();
 
-      this.setupTransformKeyboards();
+      // Put the ships on their home cells and prepare the target cell highlight
+      this.placeShipsAtStart();
+      this.createCellHighlight();
+      this.createGoalMarker();
+
+      // Ships can't move until the dice have been rolled
+      this.beginTurnMovement();
 
-      // Spawn black holes after scene is loaded
-      // this.spawnBlackHoles();
+      this.setupTransformKeyboards();
 
       console.log("GameEngine initialized successfully");
     } catch (error) {
@@ -377,6 +436,17 @@ export class GameEngine {
           }
         });
 
+        // Fit the board grid to the board mesh
+        const boardMesh = gltf.scene.getObjectByName("GameBoard_Base");
+        if (boardMesh) {
+          const bounds = new THREE.Box3().setFromObject(boardMesh);
+          this.boardGrid = BoardGrid.fromBounds(bounds);
+          this.boardSurfaceY = bounds.max.y;
+          console.log("Board grid derived from GameBoard_Base:", this.boardGrid);
+        } else {
+          console.warn("GameBoard_Base not found - using default board grid");
+        }
+
         console.log("Blender scene loaded successfully with board texture");
       }
     } catch (error) {
@@ -391,8 +461,8 @@ export class GameEngine {
       this.findShipsInScene();
 
       // Setup Transform Controls for the first ship found
-      if (this.redShip || this.blueShip) {
-        this.currentShip = this.redShip || this.blueShip;
+      if (this.ships.size > 0) {
+        this.currentShip = this.ships.values().next().value;
         this.setupTransformControls();
         console.log("Ship controls setup complete for:", this.currentShip.name);
       } else {
@@ -450,15 +520,15 @@ export class GameEngine {
       console.log(
         `Found ${redShips.length} red ships. Keeping first one, hiding duplicates.`
       );
-      this.redShip = redShips[0];
+      this.ships.set("red", redShips[0]);
 
       // Hide duplicate red ships
       for (let i = 1; i < redShips.length; i++) {
         console.log("Hiding duplicate red ship:", redShips[i].name);
         redShips[i].visible = false;
       }
-    } else {
-      this.redShip = redShips[0] || null;
+    } else if (redShips[0]) {
+      this.ships.set("red", redShips[0]);
     }
 
     // Keep only the first blue ship, hide the duplicates
@@ -466,21 +536,24 @@ export class GameEngine {
       console.log(
         `Found ${blueShips.length} blue ships. Keeping first one, hiding duplicates.`
       );
-      this.blueShip = blueShips[0];
+      this.ships.set("blue", blueShips[0]);
 
       // Hide duplicate blue ships
       for (let i = 1; i < blueShips.length; i++) {
         console.log("Hiding duplicate blue ship:", blueShips[i].name);
         blueShips[i].visible = false;
       }
-    } else {
-      this.blueShip = blueShips[0] || null;
+    } else if (blueShips[0]) {
+      this.ships.set("blue", blueShips[0]);
     }
 
-    if (!this.redShip && !this.blueShip) {
+    if (this.ships.size === 0) {
       console.log("No ships found by name. Searching by material color...");
       this.findShipsByMaterial();
     }
+
+    // Extra seats are spawned as copies of the first ship found
+    this.shipTemplate = this.ships.values().next().value || null;
   }
 
   findShipsByMaterial() {
@@ -498,7 +571,7 @@ export class GameEngine {
             material.color.g < 0.3 &&
             material.color.b < 0.3
           ) {
-            this.redShip = object.parent || object;
+            this.ships.set("red", object.parent || object);
             console.log(
               "Found red ship by material:",
               object.name || "unnamed",
@@ -512,7 +585,7 @@ export class GameEngine {
             material.color.r < 0.3 &&
             material.color.g < 0.3
           ) {
-            this.blueShip = object.parent || object;
+            this.ships.set("blue", object.parent || object);
             console.log(
               "Found blue ship by material:",
               object.name || "unnamed",
@@ -561,6 +634,15 @@ export class GameEngine {
       if (this.orbitControls) {
         this.orbitControls.enabled = !event.value; // Disable orbit controls while dragging
       }
+
+      if (event.value) {
+        this.dragStartTransform = this.getShipTransform(this.getShipId(this.currentShip));
+        this.currentShip.userData.lastClearPosition = this.currentShip.position.clone();
+        this.updateCellHighlight(this.currentShip);
+      } else {
+        this.finishShipDrag(this.currentShip);
+        this.recordShipMove(this.currentShip);
+      }
     });
 
     this.transformControls.addEventListener("change", () => {
@@ -572,10 +654,16 @@ export class GameEngine {
         return;
       }
 
+      // Keep the ship within the distance allowed by the dice roll, and out of the other ships
+      this.clampShipToMoveBudget(this.currentShip);
+      this.keepShipsApart(this.currentShip);
+      if (this.transformControls.dragging) {
+        this.updateCellHighlight(this.currentShip);
+      }
+
       // Send ship update to network if in multiplayer mode
       if (this.isMultiplayer && this.networkManager && this.currentShip) {
-        const shipType = this.currentShip === this.redShip ? 'red' : 'blue';
-        this.sendShipUpdate(shipType);
+        this.sendShipUpdate(this.getShipId(this.currentShip));
       }
     });
 
@@ -606,232 +694,803 @@ export class GameEngine {
     document.addEventListener("keydown", this.boundOnTransformKeyDown);
   }
 
-  // Black Hole Methods
-  // createBlackHole(position) {
-  //   // Create black hole group to hold all visual elements
-  //   const blackHoleGroup = new THREE.Group();
-  //   blackHoleGroup.position.copy(position);
-
-  //   // Create the main black hole sphere (event horizon)
-  //   const blackHoleGeometry = new THREE.SphereGeometry(1.2, 32, 32);
-  //   const blackHoleMaterial = new THREE.MeshStandardMaterial({
-  //     color: 0x000000,
-  //     emissive: 0x1a0033,
-  //     emissiveIntensity: 2,
-  //     metalness: 1,
-  //     roughness: 0.2,
-  //   });
-  //   const blackHoleMesh = new THREE.Mesh(blackHoleGeometry, blackHoleMaterial);
-  //   blackHoleGroup.add(blackHoleMesh);
-
-  //   // Create accretion disk (glowing ring around black hole)
-  //   const diskGeometry = new THREE.TorusGeometry(1.8, 0.3, 16, 100);
-  //   const diskMaterial = new THREE.MeshStandardMaterial({
-  //     color: 0xff6600,
-  //     emissive: 0xff3300,
-  //     emissiveIntensity: 3,
-  //     transparent: true,
-  //     opacity: 0.7,
-  //     side: THREE.DoubleSide,
-  //   });
-  //   const diskMesh = new THREE.Mesh(diskGeometry, diskMaterial);
-  //   diskMesh.rotation.x = Math.PI / 2; // Make it horizontal
-  //   blackHoleGroup.add(diskMesh);
-
-  //   // Create outer glow effect
-  //   const glowGeometry = new THREE.SphereGeometry(2, 32, 32);
-  //   const glowMaterial = new THREE.MeshBasicMaterial({
-  //     color: 0x6600ff,
-  //     transparent: true,
-  //     opacity: 0.3,
-  //     side: THREE.BackSide,
-  //   });
-  //   const glowMesh = new THREE.Mesh(glowGeometry, glowMaterial);
-  //   blackHoleGroup.add(glowMesh);
-
-  //   // Add point light for dramatic effect
-  //   const blackHoleLight = new THREE.PointLight(0x6600ff, 2, 10);
-  //   blackHoleLight.position.set(0, 0, 0);
-  //   blackHoleGroup.add(blackHoleLight);
-
-  //   // Store references for animation
-  //   blackHoleGroup.userData.disk = diskMesh;
-  //   blackHoleGroup.userData.glow = glowMesh;
-  //   blackHoleGroup.userData.core = blackHoleMesh;
-
-  //   // Add to scene
-  //   this.scene.add(blackHoleGroup);
-  //   this.blackHoles.push(blackHoleGroup);
-
-  //   console.log("Black hole created at:", position);
-  //   return blackHoleGroup;
-  // }
-
-  // spawnBlackHoles() {
-  //   // Spawn 2-4 black holes randomly on the board
-  //   const numBlackHoles = Math.floor(Math.random() * 3) + 2; // 2-4 black holes
-
-  //   console.log(`Spawning ${numBlackHoles} black holes...`);
-
-  //   for (let i = 0; i < numBlackHoles; i++) {
-  //     // Random position on the board (within reasonable bounds)
-  //     const x = (Math.random() - 0.5) * 20; // -10 to 10
-  //     const y = 2; // Above the board
-  //     const z = (Math.random() - 0.5) * 20; // -10 to 10
-
-  //     const position = new THREE.Vector3(x, y, z);
-  //     this.createBlackHole(position);
-  //   }
-  // }
-
-  // checkBlackHoleCollisions() {
-  //   if (!this.currentShip || this.blackHoles.length === 0) return;
-
-  //   const currentTime = Date.now();
-
-  //   // Check cooldown
-  //   if (currentTime - this.lastTeleportTime < this.teleportCooldown) {
-  //     return;
-  //   }
-
-  //   const shipPosition = this.currentShip.position;
-
-  //   // Check each black hole for collision
-  //   for (const blackHole of this.blackHoles) {
-  //     const blackHolePosition = blackHole.position;
-  //     const distance = shipPosition.distanceTo(blackHolePosition);
-
-  //     // If ship is within collision radius, teleport it
-  //     if (distance < this.blackHoleCollisionRadius) {
-  //       console.log("Ship entered black hole! Teleporting...");
-  //       this.teleportShip(this.currentShip);
-  //       this.lastTeleportTime = currentTime;
-
-  //       // Visual feedback: make the black hole pulse
-  //       this.pulseBlackHole(blackHole);
-  //       break; // Only teleport once per frame
-  //     }
-  //   }
-  // }
-
-  // teleportShip(ship) {
-  //   if (!ship) return;
-
-  //   // Generate random teleport destination on the board
-  //   const newX = (Math.random() - 0.5) * 18; // -9 to 9 (slightly smaller than board)
-  //   const newY = ship.position.y; // Keep same height
-  //   const newZ = (Math.random() - 0.5) * 18; // -9 to 9
-
-  //   const oldPosition = ship.position.clone();
-
-  //   // Teleport the ship
-  //   ship.position.set(newX, newY, newZ);
-
-  //   console.log(`Ship teleported from (${oldPosition.x.toFixed(2)}, ${oldPosition.y.toFixed(2)}, ${oldPosition.z.toFixed(2)}) to (${newX.toFixed(2)}, ${newY.toFixed(2)}, ${newZ.toFixed(2)})`);
-
-  //   // Send update to network if in multiplayer mode
-  //   if (this.isMultiplayer && this.networkManager && this.currentShip) {
-  //     const shipType = this.currentShip === this.redShip ? 'red' : 'blue';
-  //     this.sendShipUpdate(shipType);
-  //   }
-
-  //   // Visual feedback - flash effect
-  //   this.createTeleportEffect(oldPosition);
-  //   this.createTeleportEffect(ship.position);
-  // }
-
-  // pulseBlackHole(blackHole) {
-  //   // Animate the black hole to pulse when a ship enters it
-  //   const disk = blackHole.userData.disk;
-  //   const glow = blackHole.userData.glow;
-
-  //   if (disk && glow) {
-  //     const originalDiskScale = disk.scale.clone();
-  //     const originalGlowScale = glow.scale.clone();
-
-  //     // Quick pulse animation
-  //     const pulseDuration = 300;
-  //     const startTime = Date.now();
-
-  //     const animatePulse = () => {
-  //       const elapsed = Date.now() - startTime;
-  //       const progress = Math.min(elapsed / pulseDuration, 1);
-
-  //       // Pulse effect using sine wave
-  //       const scale = 1 + Math.sin(progress * Math.PI) * 0.5;
-
-  //       disk.scale.copy(originalDiskScale).multiplyScalar(scale);
-  //       glow.scale.copy(originalGlowScale).multiplyScalar(scale);
-
-  //       if (progress < 1) {
-  //         requestAnimationFrame(animatePulse);
-  //       } else {
-  //         // Reset to original scale
-  //         disk.scale.copy(originalDiskScale);
-  //         glow.scale.copy(originalGlowScale);
-  //       }
-  //     };
-
-  //     animatePulse();
-  //   }
-  // }
-
-  // createTeleportEffect(position) {
-  //   // Create a particle burst effect at teleport location
-  //   const particleCount = 20;
-  //   const particles = new THREE.Group();
-
-  //   for (let i = 0; i < particleCount; i++) {
-  //     const particleGeometry = new THREE.SphereGeometry(0.1, 8, 8);
-  //     const particleMaterial = new THREE.MeshBasicMaterial({
-  //       color: 0x00ffff,
-  //       transparent: true,
-  //       opacity: 1,
-  //     });
-  //     const particle = new THREE.Mesh(particleGeometry, particleMaterial);
-
-  //     // Random direction
-  //     const theta = Math.random() * Math.PI * 2;
-  //     const phi = Math.random() * Math.PI;
-
-  //     particle.userData.velocity = new THREE.Vector3(
-  //       Math.sin(phi) * Math.cos(theta) * 0.2,
-  //       Math.sin(phi) * Math.sin(theta) * 0.2,
-  //       Math.cos(phi) * 0.2
-  //     );
-
-  //     particle.position.copy(position);
-  //     particles.add(particle);
-  //   }
-
-  //   this.scene.add(particles);
-
-  //   // Animate particles
-  //   const startTime = Date.now();
-  //   const duration = 1000;
-
-  //   const animateParticles = () => {
-  //     const elapsed = Date.now() - startTime;
-  //     const progress = elapsed / duration;
-
-  //     if (progress < 1) {
-  //       particles.children.forEach(particle => {
-  //         particle.position.add(particle.userData.velocity);
-  //         particle.material.opacity = 1 - progress;
-  //       });
-  //       requestAnimationFrame(animateParticles);
-  //     } else {
-  //       // Clean up
-  //       this.scene.remove(particles);
-  //       particles.children.forEach(particle => {
-  //         particle.geometry.dispose();
-  //         particle.material.dispose();
-  //       });
-  //     }
-  //   };
-
-  //   animateParticles();
-  // }
+  // Ship registry methods
+  getShipId(ship) {
+    for (const [shipId, registered] of this.ships) {
+      if (ship && ship === registered) return shipId;
+    }
+    return null;
+  }
+
+  getShipById(shipId) {
+    return this.ships.get(shipId) || null;
+  }
+
+  getShips() {
+    return this.ships;
+  }
+
+  // Match the ships on the board to the room's seats, spawning or removing ships as needed
+  setFleet(seats) {
+    this.fleet = seats.map(({ ship, seat, color }) => ({ ship, seat, color }));
+    const seatIds = this.fleet.map(seat => seat.ship);
+
+    this.ships.forEach((ship, shipId) => {
+      if (!seatIds.includes(shipId)) {
+        this.removeShip(shipId);
+      }
+    });
+
+    this.fleet.forEach(({ ship, seat, color }) => {
+      if (!this.ships.has(ship)) {
+        this.spawnShip(ship, color);
+        this.setShipState(ship, getSeatStartState(seat));
+      }
+    });
+
+    if (!this.ships.has(this.getShipId(this.currentShip))) {
+      this.currentShip = this.ships.values().next().value || null;
+      if (this.transformControls && this.currentShip) {
+        this.transformControls.attach(this.currentShip);
+      }
+    }
+
+    this.notifyMoveBudgetChange();
+  }
+
+  // Clone the glTF ship for a seat and paint it in the seat's fleet colour
+  spawnShip(shipId, color) {
+    if (!this.shipTemplate || !this.scene) {
+      console.warn(`Cannot spawn ${shipId} ship - no ship template loaded`);
+      return null;
+    }
+
+    const ship = this.shipTemplate.clone(true);
+    ship.name = `${shipId}_ship`;
+    ship.visible = true;
+
+    const hex = color || getFleetColor(shipId)?.hex;
+    ship.traverse((child) => {
+      if (child.isMesh && child.material) {
+        // Clone materials so recolouring doesn't affect the template
+        child.material = Array.isArray(child.material)
+          ? child.material.map(material => material.clone())
+          : child.material.clone();
+
+        if (hex) {
+          const materials = Array.isArray(child.material) ? child.material : [child.material];
+          materials.forEach(material => material.color?.set(hex));
+        }
+      }
+    });
+
+    this.scene.add(ship);
+    this.ships.set(shipId, ship);
+    console.log(`Spawned ${shipId} ship from template`);
+
+    return ship;
+  }
+
+  removeShip(shipId) {
+    const ship = this.ships.get(shipId);
+    if (!ship) return;
+
+    if (this.transformControls && this.transformControls.object === ship) {
+      this.transformControls.detach();
+    }
+
+    ship.removeFromParent();
+    this.ships.delete(shipId);
+    this.turnStartCells.delete(ship);
+    this.removeHealthBar(shipId);
+    console.log(`Removed ${shipId} ship`);
+  }
+
+  // Board grid methods
+  placeShipsAtStart() {
+    this.fleet.forEach(({ ship, seat }) => {
+      this.setShipState(ship, getSeatStartState(seat));
+    });
+  }
+
+  // Put the board back for a new game in the same scene (e.g. a rematch) without reloading the glTF
+  resetGame(gameState = null) {
+    this.placeShipsAtStart();
+    this.setBlackHoles(gameState && gameState.blackHoles ? gameState.blackHoles : []);
+    this.setScrap(gameState && gameState.scrap ? gameState.scrap : []);
+    this.setShipStats(gameState && gameState.stats ? gameState.stats : {});
+
+    this.ships.forEach(ship => {
+      ship.visible = true;
+    });
+    if (gameState && gameState.ships) {
+      Object.entries(gameState.ships).forEach(([shipId, state]) => {
+        this.setShipState(shipId, state);
+        this.setShipDestroyed(shipId, !!state.destroyed);
+      });
+    }
+
+    this.dice1 = 1;
+    this.dice2 = 1;
+    this.lastRollTotal = 2;
+
+    this.hideCellHighlight();
+    this.beginTurnMovement();
+  }
+
+  // Everything needed to put the board back exactly as it is now, as a versioned JSON document
+  getSaveState() {
+    const ships = {};
+    this.ships.forEach((ship, shipId) => {
+      const start = this.turnStartCells.get(ship);
+      ships[shipId] = {
+        position: { x: ship.position.x, y: ship.position.y, z: ship.position.z },
+        rotation: { x: ship.rotation.x, y: ship.rotation.y, z: ship.rotation.z },
+        scale: { x: ship.scale.x, y: ship.scale.y, z: ship.scale.z },
+        turnStartCell: start ? { col: start.col, row: start.row } : null
+      };
+    });
+
+    return {
+      format: "space-scrap-save",
+      version: SAVE_FORMAT_VERSION,
+      savedAt: new Date().toISOString(),
+      fleet: this.fleet.map(({ ship, seat, color }) => ({ ship, seat, color })),
+      currentShip: this.getShipId(this.currentShip),
+      ships,
+      dice: this.getDiceValues(),
+      moveBudget: this.moveBudget,
+      goalCell: { ...this.goalCell },
+      blackHoles: this.getBlackHoles(),
+      shields: { ...this.shields },
+      deck: this.deck ? { ...this.deck, seed: this.deckSeed } : null,
+    };
+  }
+
+  // Restore a document from getSaveState(); throws if it isn't a save this version can read
+  loadSaveState(save) {
+    if (!save || save.format !== "space-scrap-save") {
+      throw new Error("Not a Space Scrap save file");
+    }
+    if (save.version !== SAVE_FORMAT_VERSION) {
+      throw new Error(`Unsupported save version ${save.version} (expected ${SAVE_FORMAT_VERSION})`);
+    }
+    if (!Array.isArray(save.fleet) || save.fleet.length === 0 || !save.ships) {
+      throw new Error("Save file has no ships");
+    }
+
+    this.setFleet(save.fleet);
+    this.hideCellHighlight();
+    this.clearMoveHistory();
+
+    this.turnStartCells.clear();
+    Object.entries(save.ships).forEach(([shipId, saved]) => {
+      const ship = this.getShipById(shipId);
+      if (!ship) return;
+
+      ["position", "rotation", "scale"].forEach((key) => {
+        const vector = saved[key];
+        if (vector && [vector.x, vector.y, vector.z].every(Number.isFinite)) {
+          ship[key].set(vector.x, vector.y, vector.z);
+        }
+      });
+
+      this.turnStartCells.set(ship, saved.turnStartCell || this.boardGrid.nearestCell(ship.position));
+    });
+
+    if (save.goalCell) {
+      this.setGoalCell(save.goalCell);
+    }
+
+    // Saves from before event cards have no black holes, shields or deck
+    this.setBlackHoles(Array.isArray(save.blackHoles) ? save.blackHoles : []);
+    this.shields = { ...save.shields };
+    if (this.eventCards && save.deck && Array.isArray(save.deck.drawPile)) {
+      const { seed, ...deck } = save.deck;
+      this.deck = deck;
+      this.deckSeed = seed >>> 0;
+    }
+
+    if (save.dice) {
+      this.setDiceRoll(save.dice.dice1, save.dice.dice2);
+    }
+    this.setMoveBudget(Number.isFinite(save.moveBudget) ? save.moveBudget : 0);
+
+    if (save.currentShip) {
+      this.switchToShip(save.currentShip);
+    }
+
+    console.log(`Loaded save from ${save.savedAt}`);
+  }
+
+  // Heading of a ship around the world y axis, independent of how its Euler angles are stored
+  getShipFacing(ship) {
+    const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(ship.quaternion);
+    return BoardGrid.facingFromRotation(Math.atan2(forward.x, forward.z));
+  }
+
+  // Ship state in board terms: the cell it sits on and its facing (0-7, 45 degree steps)
+  getShipState(shipId) {
+    const ship = this.getShipById(shipId);
+    if (!ship) return null;
+
+    return {
+      cell: this.boardGrid.nearestCell(ship.position),
+      facing: this.getShipFacing(ship)
+    };
+  }
+
+  setShipState(shipId, state) {
+    const ship = this.getShipById(shipId);
+    if (!ship || !state || !state.cell) return;
+
+    // An authoritative state wins over any drag still being played back
+    this.shipInterpolator.clear(shipId);
+
+    const position = this.boardGrid.cellToWorld(state.cell, ship.position.y);
+    ship.position.set(position.x, position.y, position.z);
+
+    if (BoardGrid.isValidFacing(state.facing)) {
+      ship.rotation.set(0, BoardGrid.rotationFromFacing(state.facing), 0);
+    }
+  }
+
+  // Collision radius of a ship in the board plane: its bounding sphere, kept inside its cell so neighbours never touch
+  getCollisionRadius(ship) {
+    const sphere = new THREE.Box3().setFromObject(ship).getBoundingSphere(new THREE.Sphere());
+    return Math.min(sphere.radius, this.boardGrid.cellSize * 0.45);
+  }
+
+  // Ships can't be dragged through each other: a step that would overlap another ship goes back to the last clear spot
+  keepShipsApart(ship) {
+    if (!ship) return;
+
+    const radius = this.getCollisionRadius(ship);
+    const overlaps = Array.from(this.ships.values()).some(other => (
+      other !== ship && other.visible &&
+      Math.hypot(other.position.x - ship.position.x, other.position.z - ship.position.z) < radius + this.getCollisionRadius(other)
+    ));
+
+    if (!overlaps) {
+      ship.userData.lastClearPosition = ship.position.clone();
+    } else if (ship.userData.lastClearPosition) {
+      ship.position.copy(ship.userData.lastClearPosition);
+      this.notifyMoveBudgetChange();
+    }
+  }
+
+  // Snap a ship to the center of its cell and to the nearest facing
+  snapShipToCell(ship) {
+    const shipId = this.getShipId(ship);
+    if (!shipId) return;
+
+    this.setShipState(shipId, this.getShipState(shipId));
+  }
+
+  finishShipDrag(ship) {
+    this.hideCellHighlight();
+
+    if (!ship || (this.isMultiplayer && !this.isMyTurn)) return;
+
+    this.snapShipToCell(ship);
+    this.notifyMoveBudgetChange();
+
+    // Let the other players know where the ship ended up (the server resolves any black hole)
+    if (this.isMultiplayer && this.networkManager) {
+      this.sendShipUpdate(this.getShipId(ship), true);
+    } else if (!this.isMultiplayer) {
+      this.resolveBlackHole(this.getShipId(ship));
+    }
+  }
+
+  createCellHighlight() {
+    const size = this.boardGrid.cellSize * 0.9;
+    const geometry = new THREE.PlaneGeometry(size, size);
+    const material = new THREE.MeshBasicMaterial({
+      color: 0x22c55e,
+      transparent: true,
+      opacity: 0.35,
+      depthWrite: false,
+      side: THREE.DoubleSide,
+    });
+
+    this.cellHighlight = new THREE.Mesh(geometry, material);
+    this.cellHighlight.rotation.x = -Math.PI / 2; // Lay flat on the board
+    this.cellHighlight.visible = false;
+    this.scene.add(this.cellHighlight);
+  }
+
+  updateCellHighlight(ship) {
+    if (!this.cellHighlight || !ship) return;
+
+    const cell = this.boardGrid.nearestCell(ship.position);
+    const position = this.boardGrid.cellToWorld(cell, this.boardSurfaceY + 0.02);
+
+    this.cellHighlight.position.set(position.x, position.y, position.z);
+    this.cellHighlight.visible = true;
+  }
+
+  hideCellHighlight() {
+    if (this.cellHighlight) {
+      this.cellHighlight.visible = false;
+    }
+  }
+
+  createGoalMarker() {
+    const radius = this.boardGrid.cellSize * 0.45;
+    const geometry = new THREE.RingGeometry(radius * 0.7, radius, 32);
+    const material = new THREE.MeshBasicMaterial({
+      color: 0xfacc15,
+      transparent: true,
+      opacity: 0.6,
+      depthWrite: false,
+      side: THREE.DoubleSide,
+    });
+
+    this.goalMarker = new THREE.Mesh(geometry, material);
+    this.goalMarker.rotation.x = -Math.PI / 2; // Lay flat on the board
+    this.scene.add(this.goalMarker);
+    this.setGoalCell(this.goalCell);
+  }
+
+  setGoalCell(cell) {
+    if (!cell) return;
+
+    this.goalCell = { col: cell.col, row: cell.row };
+    if (this.goalMarker) {
+      const position = this.boardGrid.cellToWorld(this.goalCell, this.boardSurfaceY + 0.01);
+      this.goalMarker.position.set(position.x, position.y, position.z);
+    }
+  }
+
+  // Scrap methods (tokens are placed and collected by the server, see Scrap.js)
+  setScrap(scrap = []) {
+    const ids = scrap.map(token => token.id);
+    this.scrapTokens.forEach((mesh, id) => {
+      if (!ids.includes(id)) {
+        this.removeScrapToken(id);
+      }
+    });
+
+    scrap.forEach(token => {
+      if (!this.scrapTokens.has(token.id)) {
+        this.scrapTokens.set(token.id, this.createScrapToken(token));
+      }
+    });
+  }
+
+  createScrapToken(token) {
+    const size = this.boardGrid.cellSize * 0.2;
+    const geometry = new THREE.IcosahedronGeometry(size, 0);
+    const material = new THREE.MeshStandardMaterial({
+      color: 0x9ca3af,
+      emissive: 0xf59e0b,
+      emissiveIntensity: 0.25,
+      metalness: 0.9,
+      roughness: 0.35,
+      flatShading: true,
+    });
+    const mesh = new THREE.Mesh(geometry, material);
+
+    const position = this.boardGrid.cellToWorld(token.cell, this.boardSurfaceY + size * 1.5);
+    mesh.position.set(position.x, position.y, position.z);
+
+    // Bob and spin out of step with the other tokens
+    mesh.userData.baseY = position.y;
+    mesh.userData.phase = (token.cell.col * 7 + token.cell.row * 13) % 10;
+
+    this.scene.add(mesh);
+    return mesh;
+  }
+
+  removeScrapToken(id, collected = false) {
+    const mesh = this.scrapTokens.get(id);
+    if (!mesh) return;
+
+    if (collected) {
+      this.createTeleportEffect(mesh.position, 0xfacc15);
+    }
+
+    this.scene.remove(mesh);
+    mesh.geometry.dispose();
+    mesh.material.dispose();
+    this.scrapTokens.delete(id);
+  }
+
+  handleScrapCollected(data) {
+    console.log(`Ship ${data.ship} collected ${data.scrap} (score ${data.score})`);
+    this.removeScrapToken(data.scrap, true);
+  }
+
+  // Health bar methods (hull and shields are tracked by the server, see ShipStats.js)
+  setShipStats(stats = {}) {
+    this.healthBars.forEach((sprite, shipId) => {
+      if (!stats[shipId]) {
+        this.removeHealthBar(shipId);
+      }
+    });
+
+    Object.entries(stats).forEach(([shipId, shipStats]) => {
+      if (!this.ships.has(shipId)) return;
+
+      if (!this.healthBars.has(shipId)) {
+        this.healthBars.set(shipId, this.createHealthBar());
+      }
+      this.drawHealthBar(this.healthBars.get(shipId), shipStats);
+    });
+  }
+
+  createHealthBar() {
+    const canvas = document.createElement("canvas");
+    canvas.width = 128;
+    canvas.height = 24;
+
+    const material = new THREE.SpriteMaterial({
+      map: new THREE.CanvasTexture(canvas),
+      transparent: true,
+      depthTest: false, // Always readable, even behind another ship
+    });
+    const sprite = new THREE.Sprite(material);
+    sprite.scale.set(this.boardGrid.cellSize * 0.9, this.boardGrid.cellSize * 0.17, 1);
+    sprite.renderOrder = 10;
+    sprite.userData.canvas = canvas;
+
+    this.scene.add(sprite);
+    return sprite;
+  }
+
+  // Hull as a green-to-red bar, with a blue strip along the top for shields
+  drawHealthBar(sprite, stats) {
+    const { canvas } = sprite.userData;
+    const context = canvas.getContext("2d");
+    const hull = stats.maxHull > 0 ? stats.hull / stats.maxHull : 0;
+    const shields = stats.maxShields > 0 ? stats.shields / stats.maxShields : 0;
+
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    context.fillStyle = "rgba(0, 0, 0, 0.7)";
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    context.fillStyle = hull > 0.6 ? "#22c55e" : hull > 0.3 ? "#facc15" : "#ef4444";
+    context.fillRect(2, 8, (canvas.width - 4) * hull, canvas.height - 10);
+
+    context.fillStyle = "#60a5fa";
+    context.fillRect(2, 2, (canvas.width - 4) * shields, 4);
+
+    sprite.material.map.needsUpdate = true;
+  }
+
+  removeHealthBar(shipId) {
+    const sprite = this.healthBars.get(shipId);
+    if (!sprite) return;
+
+    this.scene.remove(sprite);
+    sprite.material.map.dispose();
+    sprite.material.dispose();
+    this.healthBars.delete(shipId);
+  }
+
+  // Destroyed ships are taken off the board (their stats stay, for the scoreboard)
+  setShipDestroyed(shipId, destroyed) {
+    const ship = this.getShipById(shipId);
+    if (!ship) return;
+
+    ship.visible = !destroyed;
+    const sprite = this.healthBars.get(shipId);
+    if (sprite) {
+      sprite.visible = !destroyed;
+    }
+
+    if (destroyed && this.transformControls && this.transformControls.object === ship) {
+      this.transformControls.detach();
+    }
+  }
+
+  handleShipDamaged(data) {
+    const ship = this.getShipById(data.ship);
+    console.log(`Ship ${data.ship} took ${data.amount} damage from ${data.cause}${data.destroyed ? " and was destroyed" : ""}`);
+
+    const sprite = this.healthBars.get(data.ship);
+    if (sprite) {
+      this.drawHealthBar(sprite, data.stats);
+    }
+
+    if (ship) {
+      this.createTeleportEffect(ship.position, data.absorbed && !data.hullDamage ? 0x60a5fa : 0xf97316);
+    }
+    if (data.destroyed) {
+      this.setShipDestroyed(data.ship, true);
+    }
+  }
+
+  // Black hole methods (placement and teleports are decided by the server, see Hazards.js)
+  setBlackHoles(blackHoles = []) {
+    const key = JSON.stringify(blackHoles);
+    if (key === this.blackHolesKey) return;
+    this.blackHolesKey = key;
+
+    this.blackHoles.forEach(blackHole => this.removeBlackHole(blackHole));
+    this.blackHoles.clear();
+
+    blackHoles.forEach(({ id, cell }) => {
+      const blackHole = this.createBlackHole(cell);
+      blackHole.userData.id = id;
+      blackHole.userData.cell = { ...cell };
+      this.blackHoles.set(id, blackHole);
+    });
+  }
+
+  getBlackHoles() {
+    return Array.from(this.blackHoles.values(), ({ userData }) => ({ id: userData.id, cell: { ...userData.cell } }));
+  }
+
+  createBlackHole(cell) {
+    // Create black hole group to hold all visual elements, hovering over its cell
+    const blackHoleGroup = new THREE.Group();
+    const position = this.boardGrid.cellToWorld(cell, this.boardSurfaceY + this.boardGrid.cellSize * 0.4);
+    blackHoleGroup.position.set(position.x, position.y, position.z);
+    blackHoleGroup.scale.setScalar(this.boardGrid.cellSize * 0.25); // The accretion disk fits inside the cell
+
+    // Create the main black hole sphere (event horizon)
+    const blackHoleGeometry = new THREE.SphereGeometry(1.2, 32, 32);
+    const blackHoleMaterial = new THREE.MeshStandardMaterial({
+      color: 0x000000,
+      emissive: 0x1a0033,
+      emissiveIntensity: 2,
+      metalness: 1,
+      roughness: 0.2,
+    });
+    const blackHoleMesh = new THREE.Mesh(blackHoleGeometry, blackHoleMaterial);
+    blackHoleGroup.add(blackHoleMesh);
+
+    // Create accretion disk (glowing ring around black hole)
+    const diskGeometry = new THREE.TorusGeometry(1.8, 0.3, 16, 100);
+    const diskMaterial = new THREE.MeshStandardMaterial({
+      color: 0xff6600,
+      emissive: 0xff3300,
+      emissiveIntensity: 3,
+      transparent: true,
+      opacity: 0.7,
+      side: THREE.DoubleSide,
+    });
+    const diskMesh = new THREE.Mesh(diskGeometry, diskMaterial);
+    diskMesh.rotation.x = Math.PI / 2; // Make it horizontal
+    blackHoleGroup.add(diskMesh);
+
+    // Create outer glow effect
+    const glowGeometry = new THREE.SphereGeometry(2, 32, 32);
+    const glowMaterial = new THREE.MeshBasicMaterial({
+      color: 0x6600ff,
+      transparent: true,
+      opacity: 0.3,
+      side: THREE.BackSide,
+    });
+    const glowMesh = new THREE.Mesh(glowGeometry, glowMaterial);
+    blackHoleGroup.add(glowMesh);
+
+    // Add point light for dramatic effect
+    const blackHoleLight = new THREE.PointLight(0x6600ff, 2, 10);
+    blackHoleLight.position.set(0, 0, 0);
+    blackHoleGroup.add(blackHoleLight);
+
+    // Store references for animation
+    blackHoleGroup.userData.cell = { col: cell.col, row: cell.row };
+    blackHoleGroup.userData.disk = diskMesh;
+    blackHoleGroup.userData.glow = glowMesh;
+    blackHoleGroup.userData.core = blackHoleMesh;
+
+    // Add to scene
+    this.scene.add(blackHoleGroup);
+
+    console.log("Black hole created at cell:", cell);
+    return blackHoleGroup;
+  }
+
+  removeBlackHole(blackHole) {
+    blackHole.traverse(child => {
+      if (child.geometry) {
+        child.geometry.dispose();
+      }
+      if (child.material) {
+        child.material.dispose();
+      }
+    });
+    this.scene.remove(blackHole);
+  }
+
+  // The server threw a ship that ended its move on a black hole out onto another cell
+  handleShipTeleported(data) {
+    const blackHole = this.blackHoles.get(data.blackHole);
+    const ship = this.getShipById(data.ship);
+    if (!ship) return;
+
+    if (blackHole) {
+      this.pulseBlackHole(blackHole);
+    }
+
+    // A shield card held the ship where it was
+    if (data.shielded) {
+      console.log(`Ship ${data.ship}'s shield held it out of ${data.blackHole}`);
+      this.createTeleportEffect(ship.position, 0x60a5fa);
+      return;
+    }
+
+    console.log(`Ship ${data.ship} fell into ${data.blackHole} and came out at (${data.state.cell.col}, ${data.state.cell.row})`);
+
+    const oldPosition = ship.position.clone();
+    if (data.from && data.from.cell) {
+      const from = this.boardGrid.cellToWorld(data.from.cell, ship.position.y);
+      oldPosition.set(from.x, from.y, from.z);
+    }
+
+    this.setShipState(data.ship, data.state);
+
+    // Visual feedback - flash effect
+    this.createTeleportEffect(oldPosition);
+    this.createTeleportEffect(ship.position);
+
+    // Our ship can't move again this turn, and the moves we remember are gone with it
+    if (data.ship === this.playerShip || !this.isMultiplayer) {
+      this.clearMoveHistory();
+      this.setTurnStartCell(data.ship, data.state.cell);
+      this.setMoveBudget(0);
+    }
+  }
+
+  // Single player: a ship let go on a black hole is thrown out onto a random free cell, unless it's shielded
+  resolveBlackHole(shipId) {
+    const from = this.getShipState(shipId);
+    const blackHole = from && findBlackHole(this.getBlackHoles(), from.cell);
+    if (!blackHole) return;
+
+    if (this.shields[shipId]) {
+      delete this.shields[shipId];
+      this.handleShipTeleported({ ship: shipId, blackHole: blackHole.id, from, state: from, shielded: true });
+      return;
+    }
+
+    const blocked = [
+      this.goalCell,
+      ...Array.from(this.ships.keys())
+        .filter(other => other !== shipId)
+        .map(other => this.getShipState(other).cell),
+    ];
+    const cell = pickTeleportDestination(this.boardGrid, createSeed(), this.getBlackHoles(), blocked);
+    if (!cell) return;
+
+    this.handleShipTeleported({ ship: shipId, blackHole: blackHole.id, from, state: { cell, facing: from.facing } });
+  }
+
+  // The server resolved a ram: slide the rammed ship back (or shake it when it took damage instead)
+  handleShipRammed(data) {
+    const target = this.getShipById(data.target);
+    if (!target) return;
+
+    console.log(`Ship ${data.ship} rammed ${data.target}`, data.pushed ? `pushing it ${data.pushed} cell(s)` : `for ${data.damage} damage`);
+    this.shipInterpolator.clear(data.target);
+    this.createTeleportEffect(target.position, 0xef4444);
+
+    const from = this.boardGrid.cellToWorld(data.from, target.position.y);
+    const to = this.boardGrid.cellToWorld(data.to, target.position.y);
+    const duration = 400;
+    const startTime = Date.now();
+
+    const animateRam = () => {
+      const progress = Math.min((Date.now() - startTime) / duration, 1);
+      const eased = 1 - Math.pow(1 - progress, 3);
+
+      // A pinned ship shakes in place instead of sliding
+      const shake = data.pushed ? 0 : Math.sin(progress * Math.PI * 6) * (1 - progress) * this.boardGrid.cellSize * 0.1;
+      target.position.set(
+        from.x + (to.x - from.x) * eased + shake,
+        from.y,
+        from.z + (to.z - from.z) * eased
+      );
+
+      if (progress < 1) {
+        requestAnimationFrame(animateRam);
+      } else {
+        this.setShipState(data.target, { cell: data.to, facing: this.getShipFacing(target) });
+      }
+    };
+
+    animateRam();
+  }
+
+  pulseBlackHole(blackHole) {
+    // Animate the black hole to pulse when a ship enters it
+    const disk = blackHole.userData.disk;
+    const glow = blackHole.userData.glow;
+
+    if (disk && glow) {
+      const originalDiskScale = disk.scale.clone();
+      const originalGlowScale = glow.scale.clone();
+
+      // Quick pulse animation (update() leaves the glow alone until it's done)
+      const pulseDuration = 300;
+      const startTime = Date.now();
+      blackHole.userData.pulsing = true;
+
+      const animatePulse = () => {
+        const elapsed = Date.now() - startTime;
+        const progress = Math.min(elapsed / pulseDuration, 1);
+
+        // Pulse effect using sine wave
+        const scale = 1 + Math.sin(progress * Math.PI) * 0.5;
+
+        disk.scale.copy(originalDiskScale).multiplyScalar(scale);
+        glow.scale.copy(originalGlowScale).multiplyScalar(scale);
+
+        if (progress < 1) {
+          requestAnimationFrame(animatePulse);
+        } else {
+          // Reset to original scale
+          disk.scale.copy(originalDiskScale);
+          glow.scale.copy(originalGlowScale);
+          blackHole.userData.pulsing = false;
+        }
+      };
+
+      animatePulse();
+    }
+  }
+
+  createTeleportEffect(position, color = 0x00ffff) {
+    // Create a particle burst effect at teleport location
+    const particleCount = 20;
+    const particles = new THREE.Group();
+    const speed = this.boardGrid.cellSize * 0.05; // Per frame, so the burst spreads over a few cells
+
+    for (let i = 0; i < particleCount; i++) {
+      const particleGeometry = new THREE.SphereGeometry(0.1, 8, 8);
+      const particleMaterial = new THREE.MeshBasicMaterial({
+        color,
+        transparent: true,
+        opacity: 1,
+      });
+      const particle = new THREE.Mesh(particleGeometry, particleMaterial);
+
+      // Random direction
+      const theta = Math.random() * Math.PI * 2;
+      const phi = Math.random() * Math.PI;
+
+      particle.userData.velocity = new THREE.Vector3(
+        Math.sin(phi) * Math.cos(theta) * speed,
+        Math.sin(phi) * Math.sin(theta) * speed,
+        Math.cos(phi) * speed
+      );
+
+      particle.position.copy(position);
+      particles.add(particle);
+    }
+
+    this.scene.add(particles);
+
+    // Animate particles
+    const startTime = Date.now();
+    const duration = 1000;
+
+    const animateParticles = () => {
+      const elapsed = Date.now() - startTime;
+      const progress = elapsed / duration;
+
+      if (progress < 1) {
+        particles.children.forEach(particle => {
+          particle.position.add(particle.userData.velocity);
+          particle.material.opacity = 1 - progress;
+        });
+        requestAnimationFrame(animateParticles);
+      } else {
+        // Clean up
+        this.scene.remove(particles);
+        particles.children.forEach(particle => {
+          particle.geometry.dispose();
+          particle.material.dispose();
+        });
+      }
+    };
+
+    animateParticles();
+  }
 
   onTransformKeyDown(event) {
     if (!this.transformControls) return;
@@ -842,6 +1501,17 @@ export class GameEngine {
       return;
     }
 
+    // Ctrl+Z / Ctrl+Shift+Z undo and redo this turn's moves
+    if (event.code === "KeyZ" && (event.ctrlKey || event.metaKey)) {
+      event.preventDefault();
+      if (event.shiftKey) {
+        this.redoMove();
+      } else {
+        this.undoMove();
+      }
+      return;
+    }
+
     switch (event.code) {
       case "KeyG": // Translate mode
         this.transformControls.setMode("translate");
@@ -855,12 +1525,18 @@ export class GameEngine {
         this.transformControls.setMode("scale");
         console.log("Transform mode: Scale");
         break;
-      case "Digit1": // Switch to red ship
-        this.switchToRedShip();
-        break;
-      case "Digit2": // Switch to blue ship
-        this.switchToBlueShip();
+      case "Digit1": // Switch to the ship in the first seat
+      case "Digit2":
+      case "Digit3":
+      case "Digit4":
+      case "Digit5":
+      case "Digit6": {
+        const seat = this.fleet[Number(event.code.slice(-1)) - 1];
+        if (seat) {
+          this.switchToShip(seat.ship);
+        }
         break;
+      }
       case "Escape": // Detach controls
         this.transformControls.detach();
         console.log("Transform controls detached");
@@ -869,36 +1545,22 @@ export class GameEngine {
   }
 
   // Method to switch between ships
-  switchToRedShip() {
-    if (this.redShip) {
-      // In multiplayer, only allow switching to assigned ship
-      if (this.isMultiplayer && this.playerShip && this.playerShip !== 'red') {
-        console.log("Cannot switch to red ship - not assigned to you");
-        return;
-      }
+  switchToShip(shipId) {
+    const ship = this.getShipById(shipId);
+    if (!ship) return;
 
-      this.currentShip = this.redShip;
-      if (this.transformControls) {
-        this.transformControls.attach(this.currentShip);
-      }
-      console.log("Switched to red ship");
+    // In multiplayer, only allow switching to assigned ship
+    if (this.isMultiplayer && this.playerShip && this.playerShip !== shipId) {
+      console.log(`Cannot switch to ${shipId} ship - not assigned to you`);
+      return;
     }
-  }
 
-  switchToBlueShip() {
-    if (this.blueShip) {
-      // In multiplayer, only allow switching to assigned ship
-      if (this.isMultiplayer && this.playerShip && this.playerShip !== 'blue') {
-        console.log("Cannot switch to blue ship - not assigned to you");
-        return;
-      }
-
-      this.currentShip = this.blueShip;
-      if (this.transformControls) {
-        this.transformControls.attach(this.currentShip);
-      }
-      console.log("Switched to blue ship");
+    this.currentShip = ship;
+    if (this.transformControls) {
+      this.transformControls.attach(this.currentShip);
     }
+    this.notifyMoveBudgetChange();
+    console.log(`Switched to ${shipId} ship`);
   }
 
   start() {
@@ -936,28 +1598,43 @@ export class GameEngine {
       this.orbitControls.update();
     }
 
+    // Play back other players' drags
+    this.shipInterpolator.update(this.ships);
+
     // Animate black holes
-    // const time = this.clock.getElapsedTime();
-    // this.blackHoles.forEach(blackHole => {
-    //   // Rotate the accretion disk
-    //   if (blackHole.userData.disk) {
-    //     blackHole.userData.disk.rotation.z = time * 2;
-    //   }
+    const time = this.clock.getElapsedTime();
+    this.blackHoles.forEach(blackHole => {
+      // Rotate the accretion disk
+      if (blackHole.userData.disk) {
+        blackHole.userData.disk.rotation.z = time * 2;
+      }
 
-    //   // Pulsate the glow
-    //   if (blackHole.userData.glow) {
-    //     const pulse = Math.sin(time * 3) * 0.15 + 1;
-    //     blackHole.userData.glow.scale.setScalar(pulse);
-    //   }
+      // Pulsate the glow
+      if (blackHole.userData.glow && !blackHole.userData.pulsing) {
+        const pulse = Math.sin(time * 3) * 0.15 + 1;
+        blackHole.userData.glow.scale.setScalar(pulse);
+      }
 
-    //   // Rotate the core slowly
-    //   if (blackHole.userData.core) {
-    //     blackHole.userData.core.rotation.y = time * 0.5;
-    //   }
-    // });
+      // Rotate the core slowly
+      if (blackHole.userData.core) {
+        blackHole.userData.core.rotation.y = time * 0.5;
+      }
+    });
+
+    // Keep health bars floating over their ships
+    this.healthBars.forEach((sprite, shipId) => {
+      const ship = this.ships.get(shipId);
+      if (ship) {
+        sprite.position.set(ship.position.x, ship.position.y + this.boardGrid.cellSize * 0.9, ship.position.z);
+      }
+    });
 
-    // Check for black hole collisions
-    // this.checkBlackHoleCollisions();
+    // Spin and bob the scrap
+    this.scrapTokens.forEach(mesh => {
+      const t = time + mesh.userData.phase;
+      mesh.rotation.y = t;
+      mesh.position.y = mesh.userData.baseY + Math.sin(t * 2) * this.boardGrid.cellSize * 0.05;
+    });
   }
 
   render() {
@@ -993,18 +1670,15 @@ export class GameEngine {
     }
 
     // Clean up black holes
-    // this.blackHoles.forEach(blackHole => {
-    //   blackHole.traverse(child => {
-    //     if (child.geometry) {
-    //       child.geometry.dispose();
-    //     }
-    //     if (child.material) {
-    //       child.material.dispose();
-    //     }
-    //   });
-    //   this.scene.remove(blackHole);
-    // });
-    // this.blackHoles = [];
+    this.blackHoles.forEach(blackHole => this.removeBlackHole(blackHole));
+    this.blackHoles.clear();
+    this.blackHolesKey = null;
+
+    // Clean up scrap
+    this.setScrap([]);
+
+    // Clean up health bars
+    this.setShipStats({});
 
     if (this.dracoLoader) {
       this.dracoLoader.dispose();
@@ -1030,12 +1704,6 @@ export class GameEngine {
   getShip() {
     return this.currentShip;
   }
-  getRedShip() {
-    return this.redShip;
-  }
-  getBlueShip() {
-    return this.blueShip;
-  }
   getTransformControls() {
     return this.transformControls;
   }
@@ -1076,18 +1744,47 @@ export class GameEngine {
 
     // Setup network callbacks
     this.networkManager.onShipUpdated((data) => {
-      this.applyRemoteShipUpdate(data.ship, data.transform);
+      this.applyRemoteShipUpdate(data.ship, data.transform, data.committed ? data.state : null, data.sentAt);
+    });
+
+    this.networkManager.onMoveRejected((data) => {
+      console.warn(`Move rejected: ${data.message}`);
+      this.setShipState(data.ship, data.state);
+      this.clearMoveHistory(); // The moves we remember no longer match the server's
+      this.notifyMoveBudgetChange();
     });
 
+    this.networkManager.onShipTeleported((data) => {
+      this.handleShipTeleported(data);
+    });
+
+    // Restore ship states, black holes and scrap the server already knows about (joining mid-game or reconnecting)
+    const gameState = networkManager.getGameState();
+    if (gameState && gameState.ships) {
+      Object.entries(gameState.ships).forEach(([shipId, state]) => {
+        this.setShipState(shipId, state);
+      });
+    }
+    this.setBlackHoles(gameState && gameState.blackHoles ? gameState.blackHoles : []);
+    this.setScrap(gameState && gameState.scrap ? gameState.scrap : []);
+    this.setShipStats(gameState && gameState.stats ? gameState.stats : {});
+    if (gameState && gameState.ships) {
+      Object.entries(gameState.ships).forEach(([shipId, state]) => {
+        this.setShipDestroyed(shipId, !!state.destroyed);
+      });
+    }
+
+    // Movement this turn is measured from the server's turn start cell
+    this.beginTurnMovement();
+    this.setTurnStartCell(networkManager.getCurrentTurn(), networkManager.getTurnStartCell());
+
     // NOTE: We don't set up onTurnChanged here because it would overwrite
     // the MultiplayerApp's callback. Instead, MultiplayerApp will call
     // handleTurnChanged() directly when it receives the event.
 
     // Auto-select the player's assigned ship
-    if (playerShip === 'red') {
-      this.switchToRedShip();
-    } else if (playerShip === 'blue') {
-      this.switchToBlueShip();
+    if (playerShip) {
+      this.switchToShip(playerShip);
     }
 
     // Update controls based on initial turn state
@@ -1099,15 +1796,35 @@ export class GameEngine {
     this.isMultiplayer = false;
     this.playerShip = null;
     this.isMyTurn = true; // Reset to true for single-player
+    this.shipInterpolator.clearAll();
     console.log("Multiplayer disabled");
   }
 
+  // Replays only show recorded moves, so nobody can drag the ships
+  enableReplay() {
+    this.isMultiplayer = true;
+    this.playerShip = null;
+    this.setTurnState(false);
+    console.log("Replay mode enabled");
+  }
+
   handleTurnChanged(data) {
     const wasMyTurn = this.isMyTurn;
     this.isMyTurn = this.networkManager.isMyTurn();
 
     console.log(`GameEngine: Turn changed to ${data.currentTurn}. Was my turn: ${wasMyTurn}, Now my turn: ${this.isMyTurn}, My ship: ${this.playerShip}`);
 
+    // A new turn starts with no movement until the dice are rolled
+    this.beginTurnMovement();
+    if (data.turnStartCell) {
+      this.setTurnStartCell(data.currentTurn, data.turnStartCell);
+    }
+
+    // Scrap collected at the end of the last turn is gone and new scrap may have dropped
+    if (data.scrap) {
+      this.setScrap(data.scrap);
+    }
+
     this.updateControlsForTurn();
   }
 
@@ -1141,13 +1858,35 @@ export class GameEngine {
     this.updateControlsForTurn();
   }
 
-  sendShipUpdate(shipType) {
+  sendShipUpdate(shipId, committed = false) {
     if (!this.networkManager || !this.isMultiplayer) return;
 
-    const ship = shipType === 'red' ? this.redShip : this.blueShip;
-    if (!ship) return;
+    const transform = this.getShipTransform(shipId);
+    if (!transform) return;
+
+    this.networkManager.sendShipUpdate(shipId, transform, {
+      ...this.getShipState(shipId),
+      committed
+    });
+  }
+
+  // `state` is only passed once a move is committed; in-progress drags are buffered and tweened in update()
+  applyRemoteShipUpdate(shipId, transform, state = null, sentAt = null) {
+    // Don't apply updates to the ship we control
+    if (this.playerShip === shipId) return;
+
+    if (state) {
+      this.setShipState(shipId, state);
+    } else {
+      this.shipInterpolator.push(shipId, transform, sentAt);
+    }
+  }
+
+  getShipTransform(shipId) {
+    const ship = this.getShipById(shipId);
+    if (!ship) return null;
 
-    const transform = {
+    return {
       position: {
         x: ship.position.x,
         y: ship.position.y,
@@ -1164,17 +1903,12 @@ export class GameEngine {
         z: ship.scale.z
       }
     };
-
-    this.networkManager.sendShipUpdate(shipType, transform);
   }
 
-  applyRemoteShipUpdate(shipType, transform) {
-    const ship = shipType === 'red' ? this.redShip : this.blueShip;
+  applyShipTransform(shipId, transform) {
+    const ship = this.getShipById(shipId);
     if (!ship || !transform) return;
 
-    // Don't apply updates to the ship we control
-    if (this.playerShip === shipType) return;
-
     // Apply position
     if (transform.position) {
       ship.position.set(
@@ -1210,8 +1944,25 @@ export class GameEngine {
   // Dice rolling methods
   rollDice() {
     // Roll two dice (1-6 each)
-    this.dice1 = Math.floor(Math.random() * 6) + 1;
-    this.dice2 = Math.floor(Math.random() * 6) + 1;
+    const dice1 = Math.floor(Math.random() * 6) + 1;
+    const dice2 = Math.floor(Math.random() * 6) + 1;
+
+    // Each local roll starts a fresh move from where the ships are now
+    this.beginTurnMovement();
+    const result = this.setDiceRoll(dice1, dice2);
+    this.setMoveBudget(result.total);
+
+    if (this.eventCards && shouldDrawCard(this.eventCards.drawOn, dice1, dice2)) {
+      this.playEventCard(this.getShipId(this.currentShip) || this.fleet[0].ship);
+    }
+
+    return result;
+  }
+
+  // Apply a dice result rolled elsewhere (e.g. by the multiplayer server)
+  setDiceRoll(dice1, dice2) {
+    this.dice1 = dice1;
+    this.dice2 = dice2;
     this.lastRollTotal = this.dice1 + this.dice2;
 
     console.log(`Dice rolled: ${this.dice1} + ${this.dice2} = ${this.lastRollTotal}`);
@@ -1238,6 +1989,101 @@ export class GameEngine {
     }
   }
 
+  // Event card methods
+  // Single player: shuffle a local deck from the card definitions and draw from it on the rolls they name
+  enableEventCards(definitions) {
+    this.eventCards = {
+      ...definitions,
+      cards: definitions.cards.filter(card => LOCAL_CARD_EFFECTS.includes(card.effect.type)),
+    };
+    this.deckSeed = createSeed();
+    this.deck = createDeck(this.eventCards, this.deckSeed);
+    console.log(`Event cards enabled: ${this.deck.drawPile.length} cards in the deck`);
+  }
+
+  // Single player: draw the top card for a ship and play it on the board
+  playEventCard(shipId) {
+    const { card, deck } = drawCard(this.eventCards, this.deck, this.deckSeed);
+    this.deck = deck;
+
+    const ships = {};
+    this.ships.forEach((ship, id) => {
+      ships[id] = this.getShipState(id);
+    });
+
+    const { state, outcome } = applyCardEffect(this.boardGrid, {
+      ships,
+      blackHoles: this.getBlackHoles(),
+      shields: this.shields,
+    }, card, {
+      ship: shipId,
+      turnOrder: this.fleet.map(seat => seat.ship),
+      seed: createSeed(),
+      reserved: [...this.fleet.map(seat => getSeatStartState(seat.seat).cell), this.goalCell],
+    });
+
+    this.shields = state.shields;
+    this.setBlackHoles(state.blackHoles);
+
+    // Swapped ships start the rest of the move from where they landed
+    Object.entries(outcome.ships || {}).forEach(([id, shipState]) => {
+      this.setShipState(id, shipState);
+      this.setTurnStartCell(id, shipState.cell);
+    });
+    if (outcome.cells) {
+      this.setMoveBudget(this.moveBudget + outcome.cells);
+    }
+
+    console.log(`${shipId} drew ${card.id}`, outcome);
+    this.notifyCardDrawn({ ship: shipId, card, outcome });
+  }
+
+  // Multiplayer: the server drew a card for whoever just rolled and sent the board as it left it
+  handleCardDrawn(data) {
+    console.log(`Ship ${data.ship} drew ${data.card.id}`, data.outcome);
+
+    Object.entries(data.outcome.ships || {}).forEach(([shipId, state]) => {
+      const ship = this.getShipById(shipId);
+      if (ship) {
+        this.createTeleportEffect(ship.position, 0xa855f7);
+      }
+      this.setShipState(shipId, state);
+    });
+
+    if (data.gameState) {
+      this.setBlackHoles(data.gameState.blackHoles || []);
+      this.setScrap(data.gameState.scrap || []);
+    }
+
+    // The roller's move this turn is measured from where the card left its ship
+    if (data.turnStartCell) {
+      this.setTurnStartCell(data.ship, data.turnStartCell);
+    }
+
+    if (data.ship === this.playerShip) {
+      this.clearMoveHistory();
+      if (data.diceRoll) {
+        this.setMoveBudget(getRollBudget(data.diceRoll));
+      }
+    }
+  }
+
+  onCardDrawn(callback) {
+    if (typeof callback === 'function') {
+      this.cardDrawnCallbacks.push(callback);
+    }
+  }
+
+  notifyCardDrawn(data) {
+    this.cardDrawnCallbacks.forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error('Error in card drawn callback:', error);
+      }
+    });
+  }
+
   getDiceValues() {
     return {
       dice1: this.dice1,
@@ -1245,4 +2091,123 @@ export class GameEngine {
       total: this.lastRollTotal
     };
   }
+
+  // Movement budget methods
+  beginTurnMovement() {
+    this.moveBudget = 0;
+    this.turnStartCells.clear();
+    this.clearMoveHistory();
+
+    this.ships.forEach(ship => {
+      this.turnStartCells.set(ship, this.boardGrid.nearestCell(ship.position));
+    });
+
+    this.notifyMoveBudgetChange();
+  }
+
+  setTurnStartCell(shipId, cell) {
+    const ship = this.getShipById(shipId);
+    if (!ship || !cell) return;
+
+    this.turnStartCells.set(ship, { col: cell.col, row: cell.row });
+    this.notifyMoveBudgetChange();
+  }
+
+  setMoveBudget(cells) {
+    this.moveBudget = cells;
+    console.log(`Move budget: ${cells} cells`);
+    this.notifyMoveBudgetChange();
+  }
+
+  getRemainingMoves(ship = this.currentShip) {
+    const start = ship && this.turnStartCells.get(ship);
+    if (!start) return this.moveBudget;
+
+    const cell = this.boardGrid.nearestCell(ship.position);
+    return Math.max(0, this.moveBudget - this.boardGrid.distance(start, cell));
+  }
+
+  // Keep a dragged ship on the board and within the cells the dice roll allows
+  clampShipToMoveBudget(ship) {
+    const start = ship && this.turnStartCells.get(ship);
+    if (!start) return;
+
+    const clamped = this.boardGrid.clampPositionToRange(ship.position, start, this.moveBudget);
+    ship.position.set(clamped.x, clamped.y, clamped.z);
+
+    this.notifyMoveBudgetChange();
+  }
+
+  onMoveBudgetChange(callback) {
+    if (typeof callback === 'function') {
+      this.moveBudgetCallbacks.push(callback);
+    }
+  }
+
+  notifyMoveBudgetChange() {
+    const remaining = this.getRemainingMoves();
+
+    this.moveBudgetCallbacks.forEach(callback => {
+      try {
+        callback(remaining, this.moveBudget);
+      } catch (error) {
+        console.error('Error in move budget callback:', error);
+      }
+    });
+  }
+
+  // Undo/redo methods (moves can only be taken back until the turn ends)
+  recordShipMove(ship) {
+    if (this.isMultiplayer && !this.isMyTurn) return;
+
+    const shipId = this.getShipId(ship);
+    const before = this.dragStartTransform;
+    const after = this.getShipTransform(shipId);
+    this.dragStartTransform = null;
+
+    if (!before || !after || JSON.stringify(before) === JSON.stringify(after)) return;
+
+    this.undoStack.push({ shipId, before, after });
+    this.redoStack = [];
+  }
+
+  canChangeMoves() {
+    return !(this.isMultiplayer && !this.isMyTurn) &&
+      !(this.transformControls && this.transformControls.dragging);
+  }
+
+  undoMove() {
+    if (!this.canChangeMoves() || this.undoStack.length === 0) return;
+
+    const move = this.undoStack.pop();
+    this.redoStack.push(move);
+    this.applyShipTransform(move.shipId, move.before);
+    this.notifyMoveBudgetChange();
+    console.log(`Undid ${move.shipId} ship move`);
+
+    // The server only puts the ship back if it was there earlier this turn
+    if (this.isMultiplayer && this.networkManager) {
+      this.networkManager.undoMove(move.shipId, this.getShipState(move.shipId));
+    }
+  }
+
+  redoMove() {
+    if (!this.canChangeMoves() || this.redoStack.length === 0) return;
+
+    const move = this.redoStack.pop();
+    this.undoStack.push(move);
+    this.applyShipTransform(move.shipId, move.after);
+    this.notifyMoveBudgetChange();
+    console.log(`Redid ${move.shipId} ship move`);
+
+    // Redoing is just making the move again, so the server checks it like any other
+    if (this.isMultiplayer && this.networkManager) {
+      this.sendShipUpdate(move.shipId, true);
+    }
+  }
+
+  clearMoveHistory() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
 }
@@ -0,0 +1,86 @@
+// Board hazards placed by server.js and drawn by the GameEngine.
+// Kept free of Three.js so the server can import it directly.
+//
+// Black holes sit on board cells. A ship whose committed move ends on one is pulled in and thrown out
+// on another cell chosen by the server, and can't move again that turn.
+
+import { createRandom, mixSeed, randomInt } from './Random.js';
+
+export const BLACK_HOLE_COUNT = { min: 2, max: 4 };
+
+// Black holes keep at least this many cells (king moves) from ship homes, the goal and each other
+const BLACK_HOLE_CLEARANCE = 2;
+
+// Attempts at a free cell per black hole before settling for fewer
+const PLACEMENT_ATTEMPTS = 100;
+
+// [{ id, cell }] for a game, the same for the same seed; `reserved` cells (homes, goal) are kept clear
+export function generateBlackHoles(grid, seed, reserved = []) {
+  const random = createRandom(seed);
+  const count = randomInt(random, BLACK_HOLE_COUNT.min, BLACK_HOLE_COUNT.max);
+  const blackHoles = [];
+
+  for (let attempt = 0; attempt < count * PLACEMENT_ATTEMPTS && blackHoles.length < count; attempt++) {
+    const cell = {
+      col: randomInt(random, 0, grid.columns - 1),
+      row: randomInt(random, 0, grid.rows - 1)
+    };
+
+    if (isClearForBlackHole(grid, cell, blackHoles, reserved)) {
+      blackHoles.push({ id: `black-hole-${blackHoles.length + 1}`, cell });
+    }
+  }
+
+  return blackHoles;
+}
+
+// One more black hole on a random cell clear of `reserved` and the others, or null when there's no room
+export function placeBlackHole(grid, seed, blackHoles = [], reserved = []) {
+  const cells = [];
+  for (let row = 0; row < grid.rows; row++) {
+    for (let col = 0; col < grid.columns; col++) {
+      const cell = { col, row };
+      if (isClearForBlackHole(grid, cell, blackHoles, reserved)) {
+        cells.push(cell);
+      }
+    }
+  }
+
+  if (cells.length === 0) return null;
+
+  const random = createRandom(seed);
+  return { id: `black-hole-${blackHoles.length + 1}`, cell: cells[randomInt(random, 0, cells.length - 1)] };
+}
+
+function isClearForBlackHole(grid, cell, blackHoles, reserved) {
+  return [...reserved, ...blackHoles.map(blackHole => blackHole.cell)]
+    .every(other => grid.distance(cell, other) >= BLACK_HOLE_CLEARANCE);
+}
+
+export function findBlackHole(blackHoles = [], cell) {
+  return blackHoles.find(blackHole => blackHole.cell.col === cell.col && blackHole.cell.row === cell.row) || null;
+}
+
+// Where a ship pulled into a black hole comes out: any cell that isn't a black hole or `blocked`
+// (other ships, the goal). The same seed always gives the same cell; null if the board is full.
+export function pickTeleportDestination(grid, seed, blackHoles = [], blocked = []) {
+  const cells = [];
+  for (let row = 0; row < grid.rows; row++) {
+    for (let col = 0; col < grid.columns; col++) {
+      const cell = { col, row };
+      if (!findBlackHole(blackHoles, cell) && !blocked.some(other => grid.isSameCell(cell, other))) {
+        cells.push(cell);
+      }
+    }
+  }
+
+  if (cells.length === 0) return null;
+
+  const random = createRandom(seed);
+  return cells[randomInt(random, 0, cells.length - 1)];
+}
+
+// Seed for the teleport on a given turn (a ship can only be pulled in once per turn)
+export function getTeleportSeed(roomSeed, turnNumber) {
+  return mixSeed(roomSeed, turnNumber);
+}
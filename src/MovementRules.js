@@ -0,0 +1,24 @@
+// Movement rules shared by the GameEngine (client) and server.js.
+// Kept free of Three.js so the server can import it directly.
+
+// Home cell and facing for each seat at the start of a game, indexed by seat number.
+// The first two are the HOME markers on the board texture; the rest face the center.
+// Every home is 12 king moves from the goal (see DEFAULT_WIN_RULES), so no one can win on their first roll.
+export const SEAT_START_STATES = [
+  { cell: { col: 2, row: 2 }, facing: 1 },
+  { cell: { col: 12, row: 12 }, facing: 5 },
+  { cell: { col: 2, row: 12 }, facing: 3 },
+  { cell: { col: 2, row: 7 }, facing: 2 },
+  { cell: { col: 7, row: 12 }, facing: 4 },
+  { cell: { col: 14, row: 12 }, facing: 5 }
+];
+
+export function getSeatStartState(seat) {
+  const start = SEAT_START_STATES[seat] || SEAT_START_STATES[0];
+  return { cell: { ...start.cell }, facing: start.facing };
+}
+
+// A ship may travel at most `budget` king moves from where it started the turn
+export function isWithinMoveBudget(grid, fromCell, toCell, budget) {
+  return grid.isInside(toCell) && grid.distance(fromCell, toCell) <= budget;
+}
@@ -1,14 +1,60 @@
 import { io } from 'socket.io-client';
+import { CHAT_HISTORY_LIMIT } from './Chat.js';
+import {
+  COMMIT_RETRIES,
+  COMMIT_TIMEOUT_MS,
+  DEFAULT_SHIP_UPDATE_RATE,
+  KEYFRAME_INTERVAL,
+  applyTransformDelta,
+  dequantizeTransform,
+  encodeTransformDelta,
+  isNewerSeq,
+  quantizeTransform
+} from './ShipUpdateProtocol.js';
 
 export class NetworkManager {
   constructor() {
     this.socket = null;
     this.isConnected = false;
     this.roomId = null;
-    this.playerShip = null; // 'red' or 'blue'
+    this.playerShip = null; // Our seat id (fleet colour, e.g. 'red')
     this.nickname = null;
-    this.currentTurn = null; // 'red' or 'blue'
+    this.reconnectToken = null; // Secret issued by the server to reclaim our seat
+    this.logKey = null; // Read-only key to a protected room's log (safe to put in links, unlike the reconnect token)
+    this.isSpectator = false; // Watching a room without a seat
+    this.spectators = []; // [{ nickname }] watching the current room
+    this.maxPlayers = 2; // Seats in the room
+    this.hostShip = null; // Seat id of the room's host
+    this.roomLocked = false; // Locked rooms take no new players or spectators
+    this.roomStatus = 'waiting'; // 'playing' once every seat is filled, 'finished' after game over
+    this.rules = null; // Win conditions for the room ({ goalCell, scrapToWin, turnLimit })
+    this.gameResult = null; // { winner, reason, stats } once the game is over
+    this.rematch = null; // Pending rematch vote: { requestedBy, accepted, waitingFor }
+    this.timeControl = null; // { type: 'none' | 'per-turn' | 'bank', seconds }
+    this.turnTimer = null; // Running clock: { type, currentTurn, turnNumber, remainingMs, clocks, receivedAt }
+    this.chatHistory = []; // [{ nickname, ship, spectator, text, emote, sentAt }]; text is plain and must not go into innerHTML
+    this.publicRooms = []; // Lobby browser: [{ roomId, host, players, maxPlayers, status, timeControl, ageMs, receivedAt }]
+    this.matchQueue = null; // Quick match status while queued: { position, queueSize, waitingMs, estimatedWaitMs, receivedAt }
+    this.turnOrder = []; // Seat ids in the order turns rotate
+    this.currentTurn = null; // Seat id whose turn it is
     this.turnNumber = 0;
+    this.diceRoll = null; // Last server-authoritative dice roll
+    this.gameState = null; // Ship states and stats, black holes, scrap and scores from the server (kept up to date during the game)
+    this.turnStartCell = null; // Cell the current ship started this turn on
+
+    // Outgoing drag updates (see ShipUpdateProtocol.js)
+    this.shipUpdateRate = DEFAULT_SHIP_UPDATE_RATE; // Max drag updates per second
+    this.shipUpdateSeq = Date.now(); // Starts at the clock so a reloaded page never reuses old sequence numbers
+    this.pendingShipUpdate = null; // Newest drag update waiting for its send slot: { ship, transform, facing }
+    this.shipUpdateTimer = null;
+    this.lastShipUpdateAt = 0;
+    this.sentShipTransform = null; // Last quantised transform sent this drag, the base for the next delta
+    this.sentShipFacing = null;
+    this.updatesSinceKeyframe = 0;
+
+    // Incoming drag updates by ship: { seq, transform } with the last quantised transform as the delta base
+    this.remoteShipStreams = new Map();
+
     this.callbacks = {
       onRoomCreated: null,
       onRoomJoined: null,
@@ -17,8 +63,31 @@ export class NetworkManager {
       onPlayerDisconnected: null,
       onPlayerReconnected: null,
       onReconnected: null,
+      onSpectateJoined: null,
+      onSpectatorsUpdated: null,
       onShipUpdated: null,
+      onMoveRejected: null,
+      onShipTeleported: null,
+      onShipRammed: null,
+      onShipDamaged: null,
+      onScrapCollected: null,
+      onCardDrawn: null,
       onTurnChanged: null,
+      onDiceRolled: null,
+      onGameOver: null,
+      onRematchUpdated: null,
+      onRematchDeclined: null,
+      onRematchStarted: null,
+      onTurnTimer: null,
+      onPlayerForfeited: null,
+      onChatMessage: null,
+      onRoomList: null,
+      onMatchQueue: null,
+      onMatchFound: null,
+      onMatchCancelled: null,
+      onHostChanged: null,
+      onRoomLocked: null,
+      onKicked: null,
       onError: null,
       onConnected: null,
       onDisconnected: null
@@ -75,11 +144,11 @@ export class NetworkManager {
     // Room created event
     this.socket.on('room-created', (data) => {
       console.log('NetworkManager: Room created:', data);
-      this.roomId = data.roomId;
+      this.applyRoomState(data);
       this.playerShip = data.playerShip;
       this.nickname = data.nickname;
-      this.currentTurn = data.currentTurn;
-      this.turnNumber = data.turnNumber;
+      this.reconnectToken = data.reconnectToken;
+      this.logKey = data.logKey || null;
 
       // Save session for reconnection
       this.saveSession();
@@ -92,11 +161,11 @@ export class NetworkManager {
     // Room joined event
     this.socket.on('room-joined', (data) => {
       console.log('NetworkManager: Room joined:', data);
-      this.roomId = data.roomId;
+      this.applyRoomState(data);
       this.playerShip = data.playerShip;
       this.nickname = data.nickname;
-      this.currentTurn = data.currentTurn;
-      this.turnNumber = data.turnNumber;
+      this.reconnectToken = data.reconnectToken;
+      this.logKey = data.logKey || null;
 
       // Save session for reconnection
       this.saveSession();
@@ -109,6 +178,8 @@ export class NetworkManager {
     // Another player joined
     this.socket.on('player-joined', (data) => {
       console.log('NetworkManager: Player joined:', data);
+      this.roomStatus = data.status;
+      this.turnOrder = data.turnOrder || this.turnOrder;
 
       if (this.callbacks.onPlayerJoined) {
         this.callbacks.onPlayerJoined(data);
@@ -118,6 +189,8 @@ export class NetworkManager {
     // Player left permanently
     this.socket.on('player-left', (data) => {
       console.log('NetworkManager: Player left permanently:', data);
+      this.roomStatus = data.status;
+      this.turnOrder = data.turnOrder || this.turnOrder;
 
       if (this.callbacks.onPlayerLeft) {
         this.callbacks.onPlayerLeft(data);
@@ -145,23 +218,120 @@ export class NetworkManager {
     // Successfully reconnected to room
     this.socket.on('reconnected', (data) => {
       console.log('NetworkManager: Reconnected to room:', data);
-      this.roomId = data.roomId;
+      this.applyRoomState(data);
       this.playerShip = data.playerShip;
       this.nickname = data.nickname;
-      this.currentTurn = data.currentTurn;
-      this.turnNumber = data.turnNumber;
+      this.logKey = data.logKey || null;
 
       if (this.callbacks.onReconnected) {
         this.callbacks.onReconnected(data);
       }
     });
 
-    // Ship updated by remote player
+    // Joined a room as a spectator
+    this.socket.on('spectate-joined', (data) => {
+      console.log('NetworkManager: Spectating room:', data);
+      this.applyRoomState(data);
+      this.playerShip = null; // Spectators don't control a ship
+      this.nickname = data.nickname;
+      this.isSpectator = true;
+
+      if (this.callbacks.onSpectateJoined) {
+        this.callbacks.onSpectateJoined(data);
+      }
+    });
+
+    // Someone started or stopped watching the room
+    this.socket.on('spectators-updated', (data) => {
+      console.log('NetworkManager: Spectators updated:', data);
+      this.spectators = data.spectators || [];
+
+      if (this.callbacks.onSpectatorsUpdated) {
+        this.callbacks.onSpectatorsUpdated(data);
+      }
+    });
+
+    // Ship updated by remote player: drags arrive as deltas, committed moves and undos as board states
     this.socket.on('ship-updated', (data) => {
-      console.log('NetworkManager: Ship updated:', data);
+      const update = this.decodeShipUpdate(data);
+      if (!update) return;
 
       if (this.callbacks.onShipUpdated) {
-        this.callbacks.onShipUpdated(data);
+        this.callbacks.onShipUpdated(update);
+      }
+    });
+
+    // Our ship update was rejected by the server (e.g. moved further than the dice allow)
+    this.socket.on('move-rejected', (data) => {
+      console.warn('NetworkManager: Move rejected:', data);
+
+      if (this.callbacks.onMoveRejected) {
+        this.callbacks.onMoveRejected(data);
+      }
+    });
+
+    // A ship ended its move on a black hole and the server threw it out somewhere else (ours included)
+    this.socket.on('ship-teleported', (data) => {
+      console.log('NetworkManager: Ship teleported:', data);
+      if (this.gameState && this.gameState.ships) {
+        this.gameState.ships[data.ship] = data.state;
+      }
+
+      if (this.callbacks.onShipTeleported) {
+        this.callbacks.onShipTeleported(data);
+      }
+    });
+
+    // A ship ended its turn facing another and rammed it: pushed back, or damaged if it had nowhere to go
+    this.socket.on('ship-rammed', (data) => {
+      console.log('NetworkManager: Ship rammed:', data);
+      if (this.gameState && this.gameState.ships && this.gameState.ships[data.target]) {
+        this.gameState.ships[data.target] = { ...this.gameState.ships[data.target], cell: data.to };
+      }
+
+      if (this.callbacks.onShipRammed) {
+        this.callbacks.onShipRammed(data);
+      }
+    });
+
+    // A ship took damage (from a black hole, a ram or a card); a destroyed one is out of the turn order
+    this.socket.on('ship-damaged', (data) => {
+      console.log('NetworkManager: Ship damaged:', data);
+      if (this.gameState) {
+        this.gameState.stats = { ...this.gameState.stats, [data.ship]: data.stats };
+        if (data.destroyed && this.gameState.ships && this.gameState.ships[data.ship]) {
+          this.gameState.ships[data.ship] = { ...this.gameState.ships[data.ship], destroyed: true };
+        }
+      }
+      this.turnOrder = data.turnOrder || this.turnOrder;
+
+      if (this.callbacks.onShipDamaged) {
+        this.callbacks.onShipDamaged(data);
+      }
+    });
+
+    // A ship picked up the scrap it ended its turn on
+    this.socket.on('scrap-collected', (data) => {
+      console.log('NetworkManager: Scrap collected:', data);
+      if (this.gameState) {
+        this.gameState.scores = { ...this.gameState.scores, [data.ship]: data.score };
+        this.gameState.scrap = (this.gameState.scrap || []).filter(token => token.id !== data.scrap);
+      }
+
+      if (this.callbacks.onScrapCollected) {
+        this.callbacks.onScrapCollected(data);
+      }
+    });
+
+    // A roll of doubles drew an event card; the server sends the board and the roll as the card left them
+    this.socket.on('card-drawn', (data) => {
+      console.log('NetworkManager: Card drawn:', data);
+      this.gameState = data.gameState || this.gameState;
+      this.diceRoll = data.diceRoll || this.diceRoll;
+      this.turnStartCell = data.turnStartCell || this.turnStartCell;
+
+      if (this.callbacks.onCardDrawn) {
+        this.callbacks.onCardDrawn(data);
       }
     });
 
@@ -170,12 +340,181 @@ export class NetworkManager {
       console.log('NetworkManager: Turn changed:', data);
       this.currentTurn = data.currentTurn;
       this.turnNumber = data.turnNumber;
+      this.turnStartCell = data.turnStartCell || null;
+
+      // Every turn change carries the scores and the scrap left on the board
+      if (this.gameState) {
+        this.gameState.scores = data.scores || this.gameState.scores;
+        this.gameState.scrap = data.scrap || this.gameState.scrap;
+      }
 
       if (this.callbacks.onTurnChanged) {
         this.callbacks.onTurnChanged(data);
       }
     });
 
+    // Dice rolled by the server
+    this.socket.on('dice-rolled', (data) => {
+      console.log('NetworkManager: Dice rolled:', data);
+      this.diceRoll = data;
+
+      if (this.callbacks.onDiceRolled) {
+        this.callbacks.onDiceRolled(data);
+      }
+    });
+
+    // Game finished - the room no longer accepts moves
+    this.socket.on('game-over', (data) => {
+      console.log('NetworkManager: Game over:', data);
+      this.roomStatus = 'finished';
+      this.gameResult = data;
+      this.turnTimer = null;
+
+      if (this.callbacks.onGameOver) {
+        this.callbacks.onGameOver(data);
+      }
+    });
+
+    // The server started the clock for a new turn
+    this.socket.on('turn-timer', (data) => {
+      console.log('NetworkManager: Turn timer:', data);
+      this.setTurnTimer(data);
+
+      if (this.callbacks.onTurnTimer) {
+        this.callbacks.onTurnTimer(data);
+      }
+    });
+
+    // A player ran out of time on a bank clock and is out of the game
+    this.socket.on('player-forfeited', (data) => {
+      console.log('NetworkManager: Player forfeited:', data);
+      this.turnOrder = data.turnOrder || this.turnOrder;
+
+      if (this.callbacks.onPlayerForfeited) {
+        this.callbacks.onPlayerForfeited(data);
+      }
+    });
+
+    // Public rooms with free seats (sent after listRooms() and again whenever the list changes)
+    this.socket.on('room-list', (data) => {
+      console.log('NetworkManager: Room list:', data);
+      const receivedAt = Date.now();
+      this.publicRooms = (data.rooms || []).map(room => ({ ...room, receivedAt }));
+
+      if (this.callbacks.onRoomList) {
+        this.callbacks.onRoomList(this.publicRooms);
+      }
+    });
+
+    // Hosting passed to another player
+    this.socket.on('host-changed', (data) => {
+      console.log('NetworkManager: Host changed:', data);
+      this.hostShip = data.hostShip;
+
+      if (this.callbacks.onHostChanged) {
+        this.callbacks.onHostChanged(data);
+      }
+    });
+
+    // The host locked or unlocked the room
+    this.socket.on('room-locked', (data) => {
+      console.log('NetworkManager: Room locked:', data);
+      this.roomLocked = data.locked;
+
+      if (this.callbacks.onRoomLocked) {
+        this.callbacks.onRoomLocked(data);
+      }
+    });
+
+    // The host removed us from the room; our seat is gone, so there is nothing to reconnect to
+    this.socket.on('kicked', (data) => {
+      console.log('NetworkManager: Kicked from room:', data);
+      this.clearSession();
+      this.roomId = null;
+      this.playerShip = null;
+      this.reconnectToken = null;
+      this.logKey = null;
+      this.hostShip = null;
+
+      if (this.callbacks.onKicked) {
+        this.callbacks.onKicked(data);
+      }
+    });
+
+    // Our place in the quick-match queue (sent whenever the queue changes)
+    this.socket.on('match-queue', (data) => {
+      console.log('NetworkManager: Match queue:', data);
+      this.matchQueue = { ...data, receivedAt: Date.now() };
+
+      if (this.callbacks.onMatchQueue) {
+        this.callbacks.onMatchQueue(this.matchQueue);
+      }
+    });
+
+    // Quick match paired us with an opponent; the room arrives next as a normal room-joined
+    this.socket.on('match-found', (data) => {
+      console.log('NetworkManager: Match found:', data);
+      this.matchQueue = null;
+
+      if (this.callbacks.onMatchFound) {
+        this.callbacks.onMatchFound(data);
+      }
+    });
+
+    // We left the quick-match queue
+    this.socket.on('match-cancelled', () => {
+      console.log('NetworkManager: Match search cancelled');
+      this.matchQueue = null;
+
+      if (this.callbacks.onMatchCancelled) {
+        this.callbacks.onMatchCancelled();
+      }
+    });
+
+    // Someone in the room sent a chat message or emote
+    this.socket.on('chat-message', (data) => {
+      console.log('NetworkManager: Chat message:', data);
+      this.chatHistory.push(data);
+
+      if (this.chatHistory.length > CHAT_HISTORY_LIMIT) {
+        this.chatHistory.shift();
+      }
+
+      if (this.callbacks.onChatMessage) {
+        this.callbacks.onChatMessage(data);
+      }
+    });
+
+    // A player asked for (or accepted) a rematch
+    this.socket.on('rematch-updated', (data) => {
+      console.log('NetworkManager: Rematch updated:', data);
+      this.rematch = data;
+
+      if (this.callbacks.onRematchUpdated) {
+        this.callbacks.onRematchUpdated(data);
+      }
+    });
+
+    // The rematch was turned down
+    this.socket.on('rematch-declined', (data) => {
+      console.log('NetworkManager: Rematch declined:', data);
+      this.rematch = null;
+
+      if (this.callbacks.onRematchDeclined) {
+        this.callbacks.onRematchDeclined(data);
+      }
+    });
+
+    // Everyone agreed - the room has been reset for a new game
+    this.socket.on('rematch-started', (data) => {
+      console.log('NetworkManager: Rematch started:', data);
+      this.applyRoomState(data);
+
+      if (this.callbacks.onRematchStarted) {
+        this.callbacks.onRematchStarted(data);
+      }
+    });
+
     // Error event
     this.socket.on('error', (data) => {
       console.error('NetworkManager: Error:', data);
@@ -196,24 +535,68 @@ export class NetworkManager {
     });
   }
 
-  createRoom(nickname = 'Player 1') {
+  // `maxPlayers` is the number of seats (2-6); `color` is the preferred fleet colour id;
+  // `timeControl` is { type: 'none' | 'per-turn' | 'bank', seconds }; public rooms show up in the lobby browser;
+  // a non-empty `password` is then needed to join or watch the room
+  createRoom(nickname = 'Player 1', { maxPlayers = 2, color = null, timeControl = null, isPublic = false, password = '' } = {}) {
     if (!this.socket || !this.isConnected) {
       console.error('NetworkManager: Not connected to server');
       return;
     }
 
     console.log('NetworkManager: Creating room...');
-    this.socket.emit('create-room', { nickname });
+    this.socket.emit('create-room', { nickname, maxPlayers, color, timeControl, isPublic, password });
   }
 
-  joinRoom(roomId, nickname = 'Player 2') {
+  // `password` is only needed for protected rooms (the server answers PASSWORD_REQUIRED otherwise)
+  joinRoom(roomId, nickname = 'Player 2', color = null, password = '') {
     if (!this.socket || !this.isConnected) {
       console.error('NetworkManager: Not connected to server');
       return;
     }
 
     console.log('NetworkManager: Joining room:', roomId);
-    this.socket.emit('join-room', { roomId, nickname });
+    this.socket.emit('join-room', { roomId, nickname, color, password });
+  }
+
+  // Join the quick-match queue; onMatchQueue reports our position until onMatchFound
+  findMatch(nickname = 'Player', color = null) {
+    if (!this.socket || !this.isConnected) {
+      console.error('NetworkManager: Not connected to server');
+      return;
+    }
+
+    console.log('NetworkManager: Finding a match...');
+    this.socket.emit('find-match', { nickname, color });
+  }
+
+  cancelMatch() {
+    if (!this.socket || !this.isConnected) {
+      return;
+    }
+
+    console.log('NetworkManager: Cancelling match search');
+    this.socket.emit('cancel-match');
+  }
+
+  // Ask for the public room list; updates keep arriving through onRoomList until we join a room
+  listRooms() {
+    if (!this.socket || !this.isConnected) {
+      console.error('NetworkManager: Not connected to server');
+      return;
+    }
+
+    this.socket.emit('list-rooms');
+  }
+
+  spectateRoom(roomId, nickname = 'Spectator', password = '') {
+    if (!this.socket || !this.isConnected) {
+      console.error('NetworkManager: Not connected to server');
+      return;
+    }
+
+    console.log('NetworkManager: Spectating room:', roomId);
+    this.socket.emit('spectate-room', { roomId, nickname, password });
   }
 
   reconnectToRoom() {
@@ -223,21 +606,26 @@ export class NetworkManager {
     }
 
     const session = this.loadSession();
-    if (!session || !session.roomId || !session.playerShip) {
+    if (!session || !session.roomId || !session.playerShip || !session.reconnectToken) {
       console.log('NetworkManager: No valid session to reconnect');
       return false;
     }
 
     console.log('NetworkManager: Attempting to reconnect to room:', session.roomId);
+    this.reconnectToken = session.reconnectToken;
     this.socket.emit('reconnect-room', {
       roomId: session.roomId,
-      playerShip: session.playerShip
+      playerShip: session.playerShip,
+      token: session.reconnectToken
     });
 
     return true;
   }
 
-  sendShipUpdate(ship, transform) {
+  // `state` carries the ship's board state ({ cell, facing }) and whether the move is committed.
+  // Drag updates are throttled to `shipUpdateRate` (only the newest is kept); a committed move is sent
+  // straight away and retried until the server confirms it
+  sendShipUpdate(ship, transform, state = {}) {
     if (!this.socket || !this.isConnected || !this.roomId) {
       return;
     }
@@ -247,10 +635,154 @@ export class NetworkManager {
       return;
     }
 
-    this.socket.emit('ship-update', {
+    if (state.committed) {
+      this.cancelPendingShipUpdate();
+      this.commitMove(ship, transform, state.facing);
+      return;
+    }
+
+    this.pendingShipUpdate = { ship, transform, facing: state.facing };
+
+    const wait = this.lastShipUpdateAt + 1000 / this.shipUpdateRate - performance.now();
+    if (wait <= 0) {
+      this.flushShipUpdate();
+    } else if (!this.shipUpdateTimer) {
+      this.shipUpdateTimer = setTimeout(() => this.flushShipUpdate(), wait);
+    }
+  }
+
+  setShipUpdateRate(updatesPerSecond) {
+    if (Number.isFinite(updatesPerSecond) && updatesPerSecond > 0) {
+      this.shipUpdateRate = updatesPerSecond;
+    }
+  }
+
+  // Send the newest drag update as a delta against the last one sent
+  flushShipUpdate() {
+    clearTimeout(this.shipUpdateTimer);
+    this.shipUpdateTimer = null;
+
+    const pending = this.pendingShipUpdate;
+    this.pendingShipUpdate = null;
+    if (!pending || !this.socket || !this.roomId) return;
+
+    const quantized = quantizeTransform(pending.transform);
+    const isKeyframe = !this.sentShipTransform || this.updatesSinceKeyframe >= KEYFRAME_INTERVAL;
+    const delta = encodeTransformDelta(quantized, isKeyframe ? null : this.sentShipTransform);
+    const facingChanged = pending.facing !== this.sentShipFacing;
+
+    // Nothing the other players would notice
+    if (Object.keys(delta).length === 0 && !facingChanged) return;
+
+    this.shipUpdateSeq += 1;
+    this.lastShipUpdateAt = performance.now();
+    this.sentShipTransform = quantized;
+    this.sentShipFacing = pending.facing;
+    this.updatesSinceKeyframe = isKeyframe ? 0 : this.updatesSinceKeyframe + 1;
+
+    const update = {
+      roomId: this.roomId,
+      ship: pending.ship,
+      seq: this.shipUpdateSeq,
+      key: isKeyframe,
+      delta,
+      sentAt: this.lastShipUpdateAt // Lets other players space out our updates the way we sent them
+    };
+    if (facingChanged) {
+      update.facing = pending.facing;
+    }
+
+    this.socket.emit('ship-update', update);
+  }
+
+  cancelPendingShipUpdate() {
+    clearTimeout(this.shipUpdateTimer);
+    this.shipUpdateTimer = null;
+    this.pendingShipUpdate = null;
+  }
+
+  // Send where the ship was let go; the server answers every commit, so unanswered ones are sent again
+  // with the same `seq` (the server replays its first answer to a retry it has already seen)
+  commitMove(ship, transform, facing, attempt = 1, seq = null) {
+    if (attempt === 1) {
+      this.shipUpdateSeq += 1;
+      seq = this.shipUpdateSeq;
+
+      // The next drag starts over with a keyframe
+      this.sentShipTransform = null;
+      this.sentShipFacing = null;
+    }
+
+    const move = {
+      roomId: this.roomId,
+      ship,
+      seq,
+      transform: quantizeTransform(transform),
+      facing
+    };
+
+    this.socket.timeout(COMMIT_TIMEOUT_MS).emit('commit-move', move, (error, response) => {
+      if (error) {
+        if (attempt < COMMIT_RETRIES && this.roomId === move.roomId) {
+          console.warn(`NetworkManager: Move not confirmed, retrying (${attempt}/${COMMIT_RETRIES})`);
+          this.commitMove(ship, transform, facing, attempt + 1, move.seq);
+        } else {
+          console.error('NetworkManager: Move was never confirmed by the server');
+        }
+        return;
+      }
+
+      if (!response.ok) {
+        console.warn('NetworkManager: Move rejected:', response);
+        if (this.callbacks.onMoveRejected) {
+          this.callbacks.onMoveRejected({ ship, state: response.state, message: response.message });
+        }
+      }
+    });
+  }
+
+  // Turn a relayed update into what GameEngine expects; returns null for stale updates or deltas with no base yet
+  decodeShipUpdate(data) {
+    // Committed moves and undos carry the authoritative board state; the next drag starts from a keyframe
+    if (data.committed) {
+      this.remoteShipStreams.set(data.ship, {
+        seq: Number.isFinite(data.seq) ? data.seq : this.remoteShipStreams.get(data.ship)?.seq,
+        transform: null
+      });
+      return data;
+    }
+
+    const stream = this.remoteShipStreams.get(data.ship) || { seq: null, transform: null };
+    if (!isNewerSeq(stream.seq, data.seq)) {
+      return null;
+    }
+
+    const transform = applyTransformDelta(stream.transform, data.delta, data.key);
+    if (!transform) {
+      return null;
+    }
+
+    this.remoteShipStreams.set(data.ship, { seq: data.seq, transform });
+    return {
+      ship: data.ship,
+      transform: dequantizeTransform(transform),
+      state: data.state,
+      committed: false,
+      sentAt: data.sentAt
+    };
+  }
+
+  // Take back a move made this turn; `state` is where the ship was before it
+  undoMove(ship, state) {
+    if (!this.socket || !this.isConnected || !this.roomId || ship !== this.playerShip) {
+      return;
+    }
+
+    this.socket.emit('undo-move', {
       roomId: this.roomId,
       ship,
-      transform
+      cell: state.cell,
+      facing: state.facing
     });
   }
 
@@ -288,6 +820,107 @@ export class NetworkManager {
     });
   }
 
+  rollDice() {
+    if (!this.socket || !this.isConnected || !this.roomId) {
+      console.error('NetworkManager: Cannot roll dice - not connected or not in room');
+      return;
+    }
+
+    console.log('NetworkManager: Requesting dice roll');
+    this.socket.emit('roll-dice', {
+      roomId: this.roomId
+    });
+  }
+
+  // Host only: remove a player from the room
+  kickPlayer(playerShip) {
+    if (!this.socket || !this.isConnected || !this.roomId) {
+      console.error('NetworkManager: Cannot kick player - not connected or not in room');
+      return;
+    }
+
+    this.socket.emit('kick-player', {
+      roomId: this.roomId,
+      playerShip
+    });
+  }
+
+  // Host only: stop (or allow again) new players and spectators from joining
+  lockRoom(locked) {
+    if (!this.socket || !this.isConnected || !this.roomId) {
+      console.error('NetworkManager: Cannot lock room - not connected or not in room');
+      return;
+    }
+
+    this.socket.emit('lock-room', {
+      roomId: this.roomId,
+      locked
+    });
+  }
+
+  // Host only: hand hosting to another seated player
+  transferHost(playerShip) {
+    if (!this.socket || !this.isConnected || !this.roomId) {
+      console.error('NetworkManager: Cannot transfer host - not connected or not in room');
+      return;
+    }
+
+    this.socket.emit('transfer-host', {
+      roomId: this.roomId,
+      playerShip
+    });
+  }
+
+  sendChatMessage(text) {
+    if (!this.socket || !this.isConnected || !this.roomId) {
+      console.error('NetworkManager: Cannot send chat message - not connected or not in room');
+      return;
+    }
+
+    this.socket.emit('chat-message', {
+      roomId: this.roomId,
+      text
+    });
+  }
+
+  // `emoteId` is one of the preset CHAT_EMOTES ids
+  sendEmote(emoteId) {
+    if (!this.socket || !this.isConnected || !this.roomId) {
+      console.error('NetworkManager: Cannot send emote - not connected or not in room');
+      return;
+    }
+
+    this.socket.emit('chat-message', {
+      roomId: this.roomId,
+      emote: emoteId
+    });
+  }
+
+  requestRematch() {
+    if (!this.socket || !this.isConnected || !this.roomId) {
+      console.error('NetworkManager: Cannot request rematch - not connected or not in room');
+      return;
+    }
+
+    console.log('NetworkManager: Requesting rematch');
+    this.socket.emit('request-rematch', {
+      roomId: this.roomId
+    });
+  }
+
+  respondToRematch(accept) {
+    if (!this.socket || !this.isConnected || !this.roomId) {
+      console.error('NetworkManager: Cannot respond to rematch - not connected or not in room');
+      return;
+    }
+
+    console.log(`NetworkManager: ${accept ? 'Accepting' : 'Declining'} rematch`);
+    this.socket.emit('respond-rematch', {
+      roomId: this.roomId,
+      accept
+    });
+  }
+
   getRoomInfo() {
     if (!this.socket || !this.isConnected || !this.roomId) {
       return;
@@ -304,10 +937,45 @@ export class NetworkManager {
       this.roomId = null;
       this.playerShip = null;
       this.nickname = null;
+      this.reconnectToken = null;
+      this.logKey = null;
+      this.isSpectator = false;
+      this.spectators = [];
+      this.roomStatus = 'waiting';
+      this.turnOrder = [];
+      this.gameResult = null;
+      this.rematch = null;
+      this.timeControl = null;
+      this.turnTimer = null;
+      this.chatHistory = [];
+      this.hostShip = null;
+      this.roomLocked = false;
       console.log('NetworkManager: Disconnected');
     }
   }
 
+  // Take on a room as the server describes it (serializeRoom in server.js); who we are in it is set by the caller
+  applyRoomState(room) {
+    this.roomId = room.roomId;
+    this.maxPlayers = room.maxPlayers;
+    this.hostShip = room.hostShip || null;
+    this.roomLocked = !!room.locked;
+    this.roomStatus = room.status;
+    this.turnOrder = room.turnOrder || [];
+    this.rules = room.rules || null;
+    this.gameResult = room.result || null;
+    this.rematch = room.rematch || null;
+    this.timeControl = room.timeControl || null;
+    this.setTurnTimer(room.turnTimer);
+    this.chatHistory = room.chat || [];
+    this.currentTurn = room.currentTurn;
+    this.turnNumber = room.turnNumber;
+    this.diceRoll = room.diceRoll || null;
+    this.gameState = room.gameState || null;
+    this.turnStartCell = room.turnStartCell || null;
+    this.spectators = room.spectators || [];
+  }
+
   // Callback setters
   onRoomCreated(callback) {
     this.callbacks.onRoomCreated = callback;
@@ -329,6 +997,30 @@ export class NetworkManager {
     this.callbacks.onShipUpdated = callback;
   }
 
+  onMoveRejected(callback) {
+    this.callbacks.onMoveRejected = callback;
+  }
+
+  onShipTeleported(callback) {
+    this.callbacks.onShipTeleported = callback;
+  }
+
+  onShipRammed(callback) {
+    this.callbacks.onShipRammed = callback;
+  }
+
+  onShipDamaged(callback) {
+    this.callbacks.onShipDamaged = callback;
+  }
+
+  onScrapCollected(callback) {
+    this.callbacks.onScrapCollected = callback;
+  }
+
+  onCardDrawn(callback) {
+    this.callbacks.onCardDrawn = callback;
+  }
+
   onError(callback) {
     this.callbacks.onError = callback;
   }
@@ -357,6 +1049,74 @@ export class NetworkManager {
     this.callbacks.onTurnChanged = callback;
   }
 
+  onSpectateJoined(callback) {
+    this.callbacks.onSpectateJoined = callback;
+  }
+
+  onSpectatorsUpdated(callback) {
+    this.callbacks.onSpectatorsUpdated = callback;
+  }
+
+  onDiceRolled(callback) {
+    this.callbacks.onDiceRolled = callback;
+  }
+
+  onGameOver(callback) {
+    this.callbacks.onGameOver = callback;
+  }
+
+  onRematchUpdated(callback) {
+    this.callbacks.onRematchUpdated = callback;
+  }
+
+  onRematchDeclined(callback) {
+    this.callbacks.onRematchDeclined = callback;
+  }
+
+  onRematchStarted(callback) {
+    this.callbacks.onRematchStarted = callback;
+  }
+
+  onTurnTimer(callback) {
+    this.callbacks.onTurnTimer = callback;
+  }
+
+  onPlayerForfeited(callback) {
+    this.callbacks.onPlayerForfeited = callback;
+  }
+
+  onChatMessage(callback) {
+    this.callbacks.onChatMessage = callback;
+  }
+
+  onRoomList(callback) {
+    this.callbacks.onRoomList = callback;
+  }
+
+  onHostChanged(callback) {
+    this.callbacks.onHostChanged = callback;
+  }
+
+  onRoomLocked(callback) {
+    this.callbacks.onRoomLocked = callback;
+  }
+
+  onKicked(callback) {
+    this.callbacks.onKicked = callback;
+  }
+
+  onMatchQueue(callback) {
+    this.callbacks.onMatchQueue = callback;
+  }
+
+  onMatchFound(callback) {
+    this.callbacks.onMatchFound = callback;
+  }
+
+  onMatchCancelled(callback) {
+    this.callbacks.onMatchCancelled = callback;
+  }
+
   // Getters
   getPlayerShip() {
     return this.playerShip;
@@ -366,6 +1126,11 @@ export class NetworkManager {
     return this.roomId;
   }
 
+  // Lets us download a protected room's log
+  getLogKey() {
+    return this.logKey;
+  }
+
   getNickname() {
     return this.nickname;
   }
@@ -374,6 +1139,104 @@ export class NetworkManager {
     return this.roomId !== null;
   }
 
+  isSpectating() {
+    return this.isSpectator;
+  }
+
+  getSpectators() {
+    return this.spectators;
+  }
+
+  getMaxPlayers() {
+    return this.maxPlayers;
+  }
+
+  getHostShip() {
+    return this.hostShip;
+  }
+
+  isHost() {
+    return !this.isSpectator && this.playerShip !== null && this.playerShip === this.hostShip;
+  }
+
+  isRoomLocked() {
+    return this.roomLocked;
+  }
+
+  getRoomStatus() {
+    return this.roomStatus;
+  }
+
+  // True once every seat is filled and turns can be played
+  isGameReady() {
+    return this.roomStatus === 'playing';
+  }
+
+  getTurnOrder() {
+    return this.turnOrder;
+  }
+
+  isGameOver() {
+    return this.roomStatus === 'finished';
+  }
+
+  getGameResult() {
+    return this.gameResult;
+  }
+
+  getRules() {
+    return this.rules;
+  }
+
+  getRematch() {
+    return this.rematch;
+  }
+
+  // True when a rematch is pending and we still have to answer it
+  isRematchAwaitingMe() {
+    return !this.isSpectator && !!this.rematch && !this.rematch.accepted.includes(this.playerShip);
+  }
+
+  getPublicRooms() {
+    return this.publicRooms;
+  }
+
+  getMatchQueue() {
+    return this.matchQueue;
+  }
+
+  isInMatchQueue() {
+    return this.matchQueue !== null;
+  }
+
+  getChatHistory() {
+    return this.chatHistory;
+  }
+
+  getTimeControl() {
+    return this.timeControl;
+  }
+
+  // Remember when the timer arrived; the server sends remaining time rather than a deadline so clock skew doesn't matter
+  setTurnTimer(timer) {
+    this.turnTimer = timer ? { ...timer, receivedAt: Date.now() } : null;
+  }
+
+  // Milliseconds left for `ship` (the current turn by default), or null when no clock is running for it
+  getTimeRemaining(ship = this.currentTurn) {
+    if (!this.turnTimer || this.roomStatus !== 'playing') return null;
+
+    const elapsed = Date.now() - this.turnTimer.receivedAt;
+
+    if (ship === this.turnTimer.currentTurn) {
+      return Math.max(0, this.turnTimer.remainingMs - elapsed);
+    }
+
+    // Other players' banks only run down on their own turn
+    const bank = this.turnTimer.clocks[ship];
+    return bank === undefined ? null : bank;
+  }
+
   getCurrentTurn() {
     return this.currentTurn;
   }
@@ -383,16 +1246,43 @@ export class NetworkManager {
   }
 
   isMyTurn() {
-    return this.currentTurn === this.playerShip;
+    return !this.isSpectator && !this.isGameOver() && this.currentTurn === this.playerShip;
+  }
+
+  getDiceRoll() {
+    return this.diceRoll;
+  }
+
+  getGameState() {
+    return this.gameState;
+  }
+
+  // Scrap collected this game by ship
+  getScores() {
+    return (this.gameState && this.gameState.scores) || {};
+  }
+
+  // Hull, shields and speed by ship (see src/ShipStats.js)
+  getShipStats() {
+    return (this.gameState && this.gameState.stats) || {};
+  }
+
+  getTurnStartCell() {
+    return this.turnStartCell;
+  }
+
+  hasRolledThisTurn() {
+    return this.diceRoll !== null && this.diceRoll.turnNumber === this.turnNumber;
   }
 
   // Session management for reconnection
   saveSession() {
-    if (this.roomId && this.playerShip && this.nickname) {
+    if (this.roomId && this.playerShip && this.nickname && this.reconnectToken) {
       const session = {
         roomId: this.roomId,
         playerShip: this.playerShip,
         nickname: this.nickname,
+        reconnectToken: this.reconnectToken,
         timestamp: Date.now()
       };
       localStorage.setItem('space_scrap_session', JSON.stringify(session));
@@ -0,0 +1,49 @@
+// Ramming rules shared by server.js (which resolves rams) and the clients.
+// Kept free of Three.js so the server can import it directly.
+//
+// A ship that ends its turn on the cell next to an opponent, facing it, rams that ship: the opponent is
+// shoved straight back along the ram. One with nowhere to go takes damage instead.
+
+import { BoardGrid } from './BoardGrid.js';
+import { isShipActive } from './WinConditions.js';
+
+// Cells a rammed ship is pushed, if nothing is in the way
+export const RAM_PUSH_CELLS = 2;
+
+// Damage dealt to a rammed ship that can't be pushed at all
+export const RAM_DAMAGE = 1;
+
+// The opponent `ship` rams from where it is now, or null; `ships` is { [ship]: { cell, facing } }
+export function findRamTarget(grid, ships, ship) {
+  const state = ships[ship];
+  if (!isShipActive(state)) return null;
+
+  const step = BoardGrid.stepFromFacing(state.facing);
+  const ahead = { col: state.cell.col + step.col, row: state.cell.row + step.row };
+
+  return Object.keys(ships).find(other => (
+    other !== ship && isShipActive(ships[other]) && grid.isSameCell(ships[other].cell, ahead)
+  )) || null;
+}
+
+// Push `target` away from `ship` up to RAM_PUSH_CELLS cells. The push stops at the board's edge, any other ship
+// still on the board and `blocked` cells (black holes, the goal). Returns { from, to, pushed, damage }.
+export function resolveRam(grid, ships, ship, target, blocked = []) {
+  const step = BoardGrid.stepFromFacing(ships[ship].facing);
+  const from = { ...ships[target].cell };
+  const isFree = cell => grid.isInside(cell) &&
+    !Object.values(ships).some(other => !other.destroyed && grid.isSameCell(other.cell, cell)) &&
+    !blocked.some(other => grid.isSameCell(other, cell));
+
+  let to = from;
+  let pushed = 0;
+  while (pushed < RAM_PUSH_CELLS) {
+    const next = { col: to.col + step.col, row: to.row + step.row };
+    if (!isFree(next)) break;
+
+    to = next;
+    pushed += 1;
+  }
+
+  return { from, to, pushed, damage: pushed === 0 ? RAM_DAMAGE : 0 };
+}
@@ -0,0 +1,32 @@
+// Seeded random numbers for anything the server decides that a replay or a rematch must be able to reproduce.
+// Kept free of Three.js so the server can import it directly.
+
+// A new 32-bit seed (rooms get one when they are created and again for every rematch)
+export function createSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+// Derive a seed for one decision (e.g. a turn number) from a room's seed, so decisions don't share a sequence
+export function mixSeed(seed, value) {
+  let hash = (seed ^ Math.imul(value >>> 0, 0x9E3779B1)) >>> 0;
+  hash = Math.imul(hash ^ (hash >>> 16), 0x85EBCA6B);
+  hash = Math.imul(hash ^ (hash >>> 13), 0xC2B2AE35);
+  return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+// Mulberry32: returns a function giving numbers in [0, 1), the same sequence for the same seed
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Integer in [min, max] from a createRandom() function
+export function randomInt(random, min, max) {
+  return min + Math.floor(random() * (max - min + 1));
+}
@@ -0,0 +1,61 @@
+// Scrap tokens placed by server.js and drawn by the GameEngine.
+// Kept free of Three.js so the server can import it directly.
+//
+// Scrap lies on board cells. A ship still on a token's cell when its turn ends picks it up and scores
+// the token's value; more tokens drop onto the board every few turns.
+
+import { createRandom, mixSeed } from './Random.js';
+
+// Tokens on the board when a game starts
+export const SCRAP_START_COUNT = 6;
+
+// Every this many turns (counted across all players) new tokens drop, up to the board limit
+export const SCRAP_RESPAWN_INTERVAL = 3;
+export const SCRAP_RESPAWN_COUNT = 2;
+export const SCRAP_MAX_ON_BOARD = 8;
+
+export const SCRAP_VALUE = 1;
+
+// Keeps scrap drops from sharing a random sequence with the other decisions made from the room's seed
+const SCRAP_SEED_SALT = 0x5C4A9;
+
+// Seed for the tokens dropped on a given turn (turn 0 is the start of the game)
+export function getScrapSeed(roomSeed, turnNumber) {
+  return mixSeed(mixSeed(roomSeed, SCRAP_SEED_SALT), turnNumber);
+}
+
+export function isScrapRespawnTurn(turnNumber) {
+  return turnNumber > 0 && turnNumber % SCRAP_RESPAWN_INTERVAL === 0;
+}
+
+// Up to `count` new tokens [{ id, cell, value }] on free cells, the same for the same seed.
+// `blocked` cells (ships, homes, the goal, black holes, scrap already down) stay empty.
+export function placeScrap(grid, seed, count, blocked = [], idPrefix = 'scrap') {
+  const free = [];
+  for (let row = 0; row < grid.rows; row++) {
+    for (let col = 0; col < grid.columns; col++) {
+      const cell = { col, row };
+      if (!blocked.some(other => grid.isSameCell(cell, other))) {
+        free.push(cell);
+      }
+    }
+  }
+
+  // Partial Fisher-Yates shuffle: the first `count` free cells end up random and distinct
+  const random = createRandom(seed);
+  const placed = Math.min(count, free.length);
+  for (let i = 0; i < placed; i++) {
+    const j = i + Math.floor(random() * (free.length - i));
+    [free[i], free[j]] = [free[j], free[i]];
+  }
+
+  return free.slice(0, placed).map((cell, index) => ({
+    id: `${idPrefix}-${index + 1}`,
+    cell,
+    value: SCRAP_VALUE
+  }));
+}
+
+export function findScrap(scrap = [], cell) {
+  return scrap.find(token => token.cell.col === cell.col && token.cell.row === cell.row) || null;
+}
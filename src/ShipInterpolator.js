@@ -0,0 +1,131 @@
+import * as THREE from "three";
+
+// Remote ships are drawn this far behind the newest snapshot, so there is usually a later one to tween towards
+const PLAYBACK_DELAY_MS = 100;
+
+// When snapshots stop arriving (the drag paused or packets were lost) a ship keeps moving along its
+// last velocity for at most this long, then eases back onto the last transform it was sent
+const MAX_EXTRAPOLATION_MS = 100;
+const SETTLE_MS = 150;
+
+// Snapshots kept per ship; older ones have already been played
+const MAX_SNAPSHOTS = 30;
+
+// Smooths out remote ship drags: transforms are buffered as timestamped snapshots and played back
+// with a small delay, tweening position and scale linearly and rotation with quaternion slerp
+export class ShipInterpolator {
+  constructor() {
+    // Ship id -> { snapshots: [{ sentAt, position, quaternion, scale }], offset }
+    // `offset` maps the sender's clock to ours (the smallest receive - send gap seen, i.e. the fastest packet)
+    this.buffers = new Map();
+
+    // Scratch objects reused every frame
+    this.position = new THREE.Vector3();
+    this.quaternion = new THREE.Quaternion();
+    this.scale = new THREE.Vector3();
+  }
+
+  // Buffer a transform from the network; `sentAt` is the sender's clock, or missing to use the arrival time
+  push(shipId, transform, sentAt, now = performance.now()) {
+    if (!transform || !transform.position) return;
+
+    const sendTime = Number.isFinite(sentAt) ? sentAt : now;
+    let buffer = this.buffers.get(shipId);
+
+    // A sender whose clock went backwards (e.g. reloaded the page) starts a fresh buffer
+    const last = buffer && buffer.snapshots[buffer.snapshots.length - 1];
+    if (!buffer || (last && sendTime < last.sentAt)) {
+      buffer = { snapshots: [], offset: now - sendTime };
+      this.buffers.set(shipId, buffer);
+    }
+    buffer.offset = Math.min(buffer.offset, now - sendTime);
+
+    const rotation = transform.rotation || { x: 0, y: 0, z: 0 };
+    buffer.snapshots.push({
+      sentAt: sendTime,
+      position: new THREE.Vector3(transform.position.x, transform.position.y, transform.position.z),
+      quaternion: new THREE.Quaternion().setFromEuler(new THREE.Euler(rotation.x, rotation.y, rotation.z)),
+      scale: transform.scale
+        ? new THREE.Vector3(transform.scale.x, transform.scale.y, transform.scale.z)
+        : null
+    });
+
+    if (buffer.snapshots.length > MAX_SNAPSHOTS) {
+      buffer.snapshots.shift();
+    }
+  }
+
+  // Stop playing back a ship (e.g. it was snapped to an authoritative state)
+  clear(shipId) {
+    this.buffers.delete(shipId);
+  }
+
+  clearAll() {
+    this.buffers.clear();
+  }
+
+  // Move every buffered ship to where it was PLAYBACK_DELAY_MS ago; `ships` maps ship ids to objects
+  update(ships, now = performance.now()) {
+    this.buffers.forEach((buffer, shipId) => {
+      const ship = ships.get(shipId);
+      const { snapshots } = buffer;
+      if (!ship || snapshots.length === 0) {
+        this.buffers.delete(shipId);
+        return;
+      }
+
+      const renderTime = now - PLAYBACK_DELAY_MS - buffer.offset; // On the sender's clock
+      const last = snapshots[snapshots.length - 1];
+
+      // Not caught up with the oldest snapshot yet
+      if (renderTime <= snapshots[0].sentAt) {
+        this.applySnapshot(ship, snapshots[0]);
+        return;
+      }
+
+      // Past the newest snapshot: extrapolate briefly, settle back, then stop playing back
+      if (renderTime >= last.sentAt) {
+        const overdue = renderTime - last.sentAt;
+        const previous = snapshots[snapshots.length - 2];
+
+        this.applySnapshot(ship, last);
+        if (overdue >= MAX_EXTRAPOLATION_MS + SETTLE_MS) {
+          this.buffers.delete(shipId);
+          return;
+        }
+        if (!previous || last.sentAt === previous.sentAt) return;
+
+        // Extrapolated distance grows to its limit, then shrinks back to nothing while settling
+        const extrapolated = overdue <= MAX_EXTRAPOLATION_MS
+          ? overdue
+          : MAX_EXTRAPOLATION_MS * (1 - (overdue - MAX_EXTRAPOLATION_MS) / SETTLE_MS);
+        const t = 1 + extrapolated / (last.sentAt - previous.sentAt);
+        ship.position.copy(this.position.lerpVectors(previous.position, last.position, t));
+        return;
+      }
+
+      // Between two snapshots: drop the ones already played and tween
+      let index = snapshots.findIndex(snapshot => snapshot.sentAt > renderTime);
+      if (index > 1) {
+        snapshots.splice(0, index - 1);
+        index = 1;
+      }
+
+      const from = snapshots[index - 1];
+      const to = snapshots[index];
+      const t = (renderTime - from.sentAt) / (to.sentAt - from.sentAt);
+
+      ship.position.copy(this.position.lerpVectors(from.position, to.position, t));
+      ship.quaternion.copy(this.quaternion.slerpQuaternions(from.quaternion, to.quaternion, t));
+      if (from.scale && to.scale) {
+        ship.scale.copy(this.scale.lerpVectors(from.scale, to.scale, t));
+      }
+    });
+  }
+
+  applySnapshot(ship, snapshot) {
+    ship.position.copy(snapshot.position);
+    ship.quaternion.copy(snapshot.quaternion);
+    if (snapshot.scale) ship.scale.copy(snapshot.scale);
+  }
+}
@@ -0,0 +1,46 @@
+// Ship hull, shields and speed, shared by server.js (which deals damage) and the GameEngine (which draws health bars).
+// Kept free of Three.js so the server can import it directly.
+//
+// Damage is soaked up by shield points first and then taken off the hull; a ship whose hull reaches 0 is
+// destroyed and drops out of the game. Speed is added to every dice roll the ship makes.
+
+export const DEFAULT_SHIP_STATS = {
+  hull: 5,
+  shields: 1,
+  speed: 0
+};
+
+export const DAMAGE_CAUSES = {
+  BLACK_HOLE: 'black-hole',
+  RAM: 'ram',
+  CARD: 'card'
+};
+
+// Damage a ship takes from being thrown out of a black hole
+export const BLACK_HOLE_DAMAGE = 1;
+
+// Full stats for a ship starting a game: { hull, maxHull, shields, maxShields, speed }
+export function createShipStats(base = DEFAULT_SHIP_STATS) {
+  return {
+    hull: base.hull,
+    maxHull: base.hull,
+    shields: base.shields,
+    maxShields: base.shields,
+    speed: base.speed
+  };
+}
+
+// Take `amount` damage, shields first. Returns { stats, absorbed, hullDamage, destroyed } with new stats.
+export function applyDamage(stats, amount) {
+  const absorbed = Math.min(stats.shields, amount);
+  const hullDamage = Math.min(stats.hull, amount - absorbed);
+  const next = { ...stats, shields: stats.shields - absorbed, hull: stats.hull - hullDamage };
+
+  return { stats: next, absorbed, hullDamage, destroyed: next.hull <= 0 };
+}
+
+// Cells a ship may move for a roll { total, bonus?, speed? }: the dice, any event card bonus and the ship's speed
+export function getRollBudget(diceRoll) {
+  if (!diceRoll) return 0;
+  return diceRoll.total + (diceRoll.bonus || 0) + (diceRoll.speed || 0);
+}
@@ -0,0 +1,80 @@
+// Wire format for ship drags, shared by NetworkManager (which encodes them) and server.js (which checks and relays them).
+// Kept free of Three.js so the server can import it directly.
+//
+// Transforms are quantised to integers and sent as deltas: only the fields that changed since the last
+// update on the same stream. A keyframe carries every field, so a receiver without a base can start over.
+
+// Drag updates per second each client sends at most (the last one is always delivered when the drag ends)
+export const DEFAULT_SHIP_UPDATE_RATE = 20;
+
+// Every this many updates a full keyframe is sent, so a receiver that missed the base catches up mid-drag
+export const KEYFRAME_INTERVAL = 20;
+
+// How long to wait for the server to confirm a committed move before sending it again
+export const COMMIT_TIMEOUT_MS = 2000;
+export const COMMIT_RETRIES = 3;
+
+// Field -> [transform part, axis, units per world unit/radian]
+const FIELDS = {
+  px: ['position', 'x', 100],
+  py: ['position', 'y', 100],
+  pz: ['position', 'z', 100],
+  rx: ['rotation', 'x', 1000],
+  ry: ['rotation', 'y', 1000],
+  rz: ['rotation', 'z', 1000],
+  sx: ['scale', 'x', 100],
+  sy: ['scale', 'y', 100],
+  sz: ['scale', 'z', 100]
+};
+
+// { position, rotation, scale } -> { px, py, ..., sz } integers
+export function quantizeTransform(transform) {
+  const quantized = {};
+  Object.entries(FIELDS).forEach(([field, [part, axis, units]]) => {
+    const value = transform && transform[part] ? transform[part][axis] : undefined;
+    quantized[field] = Number.isFinite(value) ? Math.round(value * units) : (part === 'scale' ? units : 0);
+  });
+  return quantized;
+}
+
+// { px, py, ..., sz } integers -> { position, rotation, scale }
+export function dequantizeTransform(quantized) {
+  const transform = { position: {}, rotation: {}, scale: {} };
+  Object.entries(FIELDS).forEach(([field, [part, axis, units]]) => {
+    transform[part][axis] = quantized[field] / units;
+  });
+  return transform;
+}
+
+// Fields of `quantized` that differ from `previous` (all of them when there is no previous)
+export function encodeTransformDelta(quantized, previous = null) {
+  const delta = {};
+  Object.keys(FIELDS).forEach(field => {
+    if (!previous || previous[field] !== quantized[field]) {
+      delta[field] = quantized[field];
+    }
+  });
+  return delta;
+}
+
+// Apply a delta to the last quantised transform on its stream; a keyframe needs no base.
+// Returns null when the delta can't be applied (no base yet, or a malformed field).
+export function applyTransformDelta(base, delta, isKeyframe = false) {
+  if (!delta || typeof delta !== 'object' || (!base && !isKeyframe)) return null;
+
+  const quantized = isKeyframe ? {} : { ...base };
+  for (const field of Object.keys(FIELDS)) {
+    if (field in delta) {
+      if (!Number.isInteger(delta[field])) return null;
+      quantized[field] = delta[field];
+    } else if (isKeyframe) {
+      return null;
+    }
+  }
+  return quantized;
+}
+
+// Sequence numbers only go up on a stream; anything else is stale or arrived out of order
+export function isNewerSeq(lastSeq, seq) {
+  return Number.isFinite(seq) && (!Number.isFinite(lastSeq) || seq > lastSeq);
+}
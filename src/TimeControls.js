@@ -0,0 +1,38 @@
+// Time controls shared by server.js (which runs the clocks) and the multiplayer client.
+// Kept free of Three.js so the server can import it directly.
+
+export const TIME_CONTROL_TYPES = {
+  NONE: 'none', // Take as long as you like
+  PER_TURN: 'per-turn', // Fixed time for every turn; the turn ends automatically when it runs out
+  BANK: 'bank' // Chess-style total time per player; running out forfeits the game
+};
+
+// Allowed seconds for each type
+const TIME_LIMITS = {
+  [TIME_CONTROL_TYPES.PER_TURN]: { min: 10, max: 600, fallback: 60 },
+  [TIME_CONTROL_TYPES.BANK]: { min: 60, max: 3600, fallback: 600 }
+};
+
+// Turn whatever the client asked for into a valid { type, seconds }
+export function normalizeTimeControl(timeControl) {
+  const limits = timeControl && TIME_LIMITS[timeControl.type];
+  if (!limits) {
+    return { type: TIME_CONTROL_TYPES.NONE, seconds: 0 };
+  }
+
+  const seconds = Number.parseInt(timeControl.seconds, 10);
+  return {
+    type: timeControl.type,
+    seconds: Number.isNaN(seconds)
+      ? limits.fallback
+      : Math.min(limits.max, Math.max(limits.min, seconds))
+  };
+}
+
+// Milliseconds -> "m:ss"
+export function formatClock(ms) {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+}
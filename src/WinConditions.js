@@ -0,0 +1,80 @@
+// Win conditions shared by server.js (which decides when a game ends) and the clients.
+// Kept free of Three.js so the server can import it directly.
+
+export const DEFAULT_WIN_RULES = {
+  goalCell: { col: 14, row: 0 }, // The corner between the two HOME markers, 12 king moves from each
+  scrapToWin: 10,
+  turnLimit: 60 // Turns across all players before the game is decided on score
+};
+
+// Fewest king moves allowed between any home and the goal; a move can be up to 12 cells (2d6), so the goal
+// always takes more than one turn to reach
+export const MIN_GOAL_DISTANCE = 12;
+
+export const WIN_REASONS = {
+  GOAL_REACHED: 'goal-reached',
+  SCRAP_COLLECTED: 'scrap-collected',
+  LAST_SHIP_STANDING: 'last-ship-standing',
+  TURN_LIMIT: 'turn-limit'
+};
+
+// Destroyed and forfeited ships stay in gameState but can't win or take turns
+export function isShipActive(ship) {
+  return !!ship && !ship.destroyed && !ship.forfeited;
+}
+
+// Ships still in play
+function getActiveShips(state) {
+  return Object.entries(state.ships || {})
+    .filter(([, ship]) => isShipActive(ship))
+    .map(([shipId]) => shipId);
+}
+
+// Ships ordered best first: highest score, then closest to the goal cell
+export function rankShips(grid, state, rules = DEFAULT_WIN_RULES) {
+  const scores = state.scores || {};
+  const distanceToGoal = (shipId) => grid.distance(state.ships[shipId].cell, rules.goalCell);
+
+  return getActiveShips(state).sort((a, b) =>
+    (scores[b] || 0) - (scores[a] || 0) || distanceToGoal(a) - distanceToGoal(b)
+  );
+}
+
+// Homes (cells) closer to the goal than MIN_GOAL_DISTANCE; empty when the layout is fair
+export function findHomesNearGoal(grid, goalCell, homes) {
+  return homes.filter(home => grid.distance(home, goalCell) < MIN_GOAL_DISTANCE);
+}
+
+// `state` is { ships: { [ship]: { cell, facing } }, scores?: { [ship]: number }, turnNumber }.
+// Returns { winner, reason } once the game is decided (winner is null for a draw), otherwise null.
+export function evaluateWinConditions(grid, state, rules = DEFAULT_WIN_RULES) {
+  const ships = getActiveShips(state);
+  const scores = state.scores || {};
+
+  if (ships.length === 0) return null;
+
+  const onGoal = ships.find(shipId => grid.isSameCell(state.ships[shipId].cell, rules.goalCell));
+  if (onGoal) {
+    return { winner: onGoal, reason: WIN_REASONS.GOAL_REACHED };
+  }
+
+  const collector = ships.find(shipId => (scores[shipId] || 0) >= rules.scrapToWin);
+  if (collector) {
+    return { winner: collector, reason: WIN_REASONS.SCRAP_COLLECTED };
+  }
+
+  if (ships.length === 1) {
+    return { winner: ships[0], reason: WIN_REASONS.LAST_SHIP_STANDING };
+  }
+
+  if (state.turnNumber >= rules.turnLimit) {
+    const [first, second] = rankShips(grid, state, rules);
+    const distanceToGoal = (shipId) => grid.distance(state.ships[shipId].cell, rules.goalCell);
+    const isTie = (scores[first] || 0) === (scores[second] || 0) &&
+      distanceToGoal(first) === distanceToGoal(second);
+
+    return { winner: isTie ? null : first, reason: WIN_REASONS.TURN_LIMIT };
+  }
+
+  return null;
+}
@@ -9,6 +9,7 @@ export default defineConfig({
         main: resolve(__dirname, 'index.html'),
         game: resolve(__dirname, 'game.html'),
         multiplayer: resolve(__dirname, 'multiplayer.html'),
+        replay: resolve(__dirname, 'replay.html'),
         test: resolve(__dirname, 'test-connection.html')
       }
     }